@@ -0,0 +1,16 @@
+// Forum behaviour settings, overridable through environment variables
+const forumConfig = {
+  // Deepest nesting level a reply can have (top-level replies are depth 0)
+  maxReplyDepth: parseInt(process.env.MAX_REPLY_DEPTH, 10) || 5,
+
+  // Page size used when a list request doesn't pass `limit`
+  defaultPageSize: 10,
+
+  // Largest `limit` a list request may ask for
+  maxPageSize: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
+
+  // Most options a poll may offer
+  maxPollOptions: 10
+};
+
+module.exports = forumConfig;
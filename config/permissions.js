@@ -0,0 +1,83 @@
+// Permissions granted to each role. This is the only place roles are mapped to what they
+// may do; routes ask utils/permissions.js instead of comparing roles.
+//
+// `:own` permissions only apply to content the user wrote and `:any` ones to everybody's;
+// `can(user, 'post:edit', post)` checks both.
+
+const STUDENT = [
+  'post:create',
+  'post:edit:own',
+  'post:delete:own',
+  'post:accept:own',
+  'reply:create',
+  'reply:edit:own',
+  'reply:delete:own',
+  'revision:view:own',
+  'revision:restore:own'
+];
+
+const TEACHER = [
+  ...STUDENT,
+  'post:edit:any',
+  'post:delete:any',
+  'post:accept:any',
+  'post:pin',
+  'post:lock',
+  'post:schedule',
+  'announcement:create',
+  'announcement:track',
+  'reply:edit:any',
+  'reply:delete:any',
+  'revision:view:any',
+  'revision:restore:any',
+  'category:create',
+  'category:update',
+  'category:delete',
+  'category:moderators',
+  'course:create',
+  'course:teach',
+  'moderation:view',
+  'moderation:resolve',
+  'content:unfiltered',
+  'user:suspend'
+];
+
+const ADMIN = [
+  ...TEACHER,
+  'category:view:any',
+  'course:view:any',
+  'course:manage:any',
+  'user:list',
+  'user:import',
+  'user:status',
+  'user:unlock',
+  'user:suspend:teacher',
+  'audit:view',
+  'filter:manage',
+  'permission:view'
+];
+
+// Moderators of a category get these permissions on the content in it, whatever their role
+const CATEGORY_MODERATOR = [
+  'post:edit:any',
+  'post:delete:any',
+  'post:accept:any',
+  'post:pin',
+  'post:lock',
+  'reply:edit:any',
+  'reply:delete:any',
+  'revision:view:any',
+  'revision:restore:any',
+  'moderation:view',
+  'moderation:resolve'
+];
+
+module.exports = {
+  roles: {
+    STUDENT,
+    TEACHER,
+    ADMIN
+  },
+  categoryModerator: CATEGORY_MODERATOR,
+  all: [...new Set([...ADMIN, ...CATEGORY_MODERATOR])]
+};
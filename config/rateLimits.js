@@ -0,0 +1,34 @@
+// Request rate limits and login lockout settings, overridable through environment variables
+const minutes = (value) => value * 60 * 1000;
+
+const rateLimitConfig = {
+  // Set RATE_LIMIT_ENABLED=false to turn request limits off, e.g. for load tests
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  // Limits applied with middleware/rateLimit.js: at most `max` requests per `windowMs`,
+  // counted per client IP (`by: 'ip'`), per client IP and the email in the body
+  // (`by: 'email'`), per signed-in user (`by: 'user'`) or per account, which is the signed-in
+  // user or else the client IP and the email or emailed token in the body (`by: 'account'`).
+  // A whole classroom often shares one IP, so the limits counted per IP alone are set for a
+  // class, not a person.
+  limits: {
+    login: { windowMs: minutes(15), max: parseInt(process.env.RATE_LIMIT_LOGIN, 10) || 20, by: 'email' },
+    loginIp: { windowMs: minutes(15), max: parseInt(process.env.RATE_LIMIT_LOGIN_IP, 10) || 500, by: 'ip' },
+    register: { windowMs: minutes(60), max: parseInt(process.env.RATE_LIMIT_REGISTER, 10) || 100, by: 'ip' },
+    // Requests that send an email or redeem an emailed token
+    accountEmail: { windowMs: minutes(15), max: parseInt(process.env.RATE_LIMIT_ACCOUNT_EMAIL, 10) || 5, by: 'account' },
+    accountEmailIp: { windowMs: minutes(15), max: parseInt(process.env.RATE_LIMIT_ACCOUNT_EMAIL_IP, 10) || 100, by: 'ip' },
+    post: { windowMs: minutes(60), max: parseInt(process.env.RATE_LIMIT_POSTS, 10) || 20, by: 'user' },
+    reply: { windowMs: minutes(10), max: parseInt(process.env.RATE_LIMIT_REPLIES, 10) || 30, by: 'user' },
+    upload: { windowMs: minutes(10), max: 20, by: 'user' }
+  },
+
+  // Failed logins in a row before an account is locked
+  lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+
+  // The first lockout lasts this long; each further failed login doubles it, up to the maximum
+  lockoutBaseMs: minutes(1),
+  lockoutMaxMs: minutes(60)
+};
+
+module.exports = rateLimitConfig;
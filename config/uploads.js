@@ -0,0 +1,36 @@
+// Attachment upload settings, overridable through environment variables
+const megabytes = (value, fallback) => Math.round((parseFloat(value) || fallback) * 1024 * 1024);
+
+const uploadConfig = {
+  // Largest file each role may upload
+  maxFileSize: {
+    STUDENT: megabytes(process.env.UPLOAD_MAX_MB_STUDENT, 5),
+    TEACHER: megabytes(process.env.UPLOAD_MAX_MB_TEACHER, 25),
+    ADMIN: megabytes(process.env.UPLOAD_MAX_MB_ADMIN, 25)
+  },
+
+  // Files accepted in a single upload request
+  maxFilesPerUpload: 5,
+
+  // Attachments a single post or reply can hold
+  maxAttachmentsPerTarget: 10,
+
+  // Thumbnails are scaled to fit within a square of this many pixels
+  thumbnailSize: 320,
+
+  // Largest image accepted as an avatar, whatever the uploader's role
+  maxAvatarSize: megabytes(process.env.UPLOAD_MAX_MB_AVATAR, 5),
+
+  // Smallest and largest width/height an avatar image may have
+  avatarMinDimension: 64,
+  avatarMaxDimension: 4096,
+
+  // Square sizes, in pixels, every avatar is stored in
+  avatarSizes: {
+    small: 64,
+    medium: 128,
+    large: 256
+  }
+};
+
+module.exports = uploadConfig;
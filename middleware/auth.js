@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,13 +14,22 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+
+    // Access tokens are bound to a session so logout and revocation take effect immediately
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!Session.isActive(session) || session.userId !== decoded.id) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    const user = await User.findById(decoded.id);
     
     if (!user || !user.isActive) {
       return res.status(401).json({ error: 'Invalid token or user not found' });
     }
 
     req.user = user;
+    req.authSession = session;
+    req.tokenExpiresAt = decoded.exp * 1000;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -31,18 +42,34 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user has specific role
-const requireRole = (roles) => {
+// Middleware that authenticates when a token is sent but lets anonymous requests through
+const optionalAuth = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Middleware that accepts the access token as ?access_token= too, for clients that can't
+// send headers (EventSource, <img> and download links)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Middleware to check that the user's role grants a permission (see config/permissions.js)
+const requirePermission = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!hasPermission(req.user, permission)) {
       return res.status(403).json({ 
         error: 'Insufficient permissions',
-        required: roles,
-        current: req.user.role
+        required: permission
       });
     }
 
@@ -50,15 +77,9 @@ const requireRole = (roles) => {
   };
 };
 
-// Middleware to check if user is admin
-const requireAdmin = requireRole(['admin']);
-
-// Middleware to check if user is teacher or admin
-const requireTeacherOrAdmin = requireRole(['teacher', 'admin']);
-
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireAdmin,
-  requireTeacherOrAdmin
+  optionalAuth,
+  tokenFromQuery,
+  requirePermission
 };
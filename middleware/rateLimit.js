@@ -0,0 +1,74 @@
+const rateLimitConfig = require('../config/rateLimits');
+const { getStore } = require('../utils/rateLimitStore');
+const { hashToken } = require('../utils/tokens');
+
+// Seconds from now until a date, at least 1
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Send a 429 telling the client when it may try again
+const sendTooManyRequests = (res, retryAt, error = 'Too many requests, please try again later') => {
+  const retryAfter = secondsUntil(retryAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+// The email in a request body, normalized here because limits run before validation
+const bodyEmail = (req) => typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+// Who a request counts against for a limit: the signed-in user, the client IP, the client IP
+// together with the email in the body, or for `account` the signed-in user or else the client
+// IP together with the email or emailed token in the body. Tokens are hashed so a shared
+// store never holds one that could be redeemed.
+const clientKey = (req, by) => {
+  if ((by === 'user' || by === 'account') && req.user) return `user:${req.user.id}`;
+  if (by === 'email') return `ip:${req.ip}:email:${bodyEmail(req)}`;
+  if (by === 'account') {
+    const token = typeof req.body?.token === 'string' ? hashToken(req.body.token) : '';
+    return `ip:${req.ip}:account:${bodyEmail(req) || token}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+// Middleware limiting how often a route is called, using a named limit from
+// config/rateLimits.js. Limits counted per user go after authenticateToken; anonymous
+// requests are counted per IP instead. Every response gets RateLimit-* headers.
+const rateLimit = (name) => {
+  const limit = rateLimitConfig.limits[name];
+  if (!limit) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) {
+      return next();
+    }
+
+    const client = clientKey(req, limit.by);
+
+    let hits;
+    try {
+      hits = await getStore().increment(`${name}:${client}`, limit.windowMs);
+    } catch (error) {
+      // An unavailable store shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(Math.max(0, limit.max - hits.count)),
+      'RateLimit-Reset': String(secondsUntil(hits.resetAt))
+    });
+
+    if (hits.count > limit.max) {
+      return sendTooManyRequests(res, hits.resetAt);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests
+};
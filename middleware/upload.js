@@ -0,0 +1,51 @@
+const multer = require('multer');
+const uploadConfig = require('../config/uploads');
+
+// Run a multer upload, answering its errors (file too large, too many files, ...) with JSON
+const runUpload = (upload, maxFileSize, req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files can be at most ${Math.round(maxFileSize / (1024 * 1024))} MB` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: 'Server error' });
+  });
+};
+
+// Middleware that accepts up to `maxFilesPerUpload` files in the multipart field `files`.
+// Files are held in memory so their contents can be checked before anything is stored;
+// how large they may be depends on the uploader's role (see config/uploads.js).
+const uploadFiles = (req, res, next) => {
+  const maxFileSize = uploadConfig.maxFileSize[req.user.role] || uploadConfig.maxFileSize.STUDENT;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: uploadConfig.maxFilesPerUpload
+    }
+  }).array('files');
+
+  runUpload(upload, maxFileSize, req, res, next);
+};
+
+// Middleware that accepts a single image in the multipart field `avatar`
+const uploadAvatar = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: uploadConfig.maxAvatarSize,
+      files: 1
+    }
+  }).single('avatar');
+
+  runUpload(upload, uploadConfig.maxAvatarSize, req, res, next);
+};
+
+module.exports = {
+  uploadFiles,
+  uploadAvatar
+};
@@ -0,0 +1,69 @@
+const prisma = require('../config/database');
+
+class Acknowledgement {
+  // Record that a user has read an announcement; acknowledging again keeps the first time
+  static async acknowledge(postId, userId) {
+    return prisma.acknowledgement.upsert({
+      where: { postId_userId: { postId, userId } },
+      update: {},
+      create: { postId, userId }
+    });
+  }
+
+  // Prisma where clause for the students an announcement is for, within its category:
+  //   SCHOOL    every active student who can see the category
+  //   GRADE     those of them in the announcement's grade
+  //   CATEGORY  the students of the category's course, or the followers of a category
+  //             that isn't part of a course
+  static audienceFilter(post, category) {
+    const filters = [{ role: 'STUDENT', isActive: true }];
+
+    if (category.courseId) {
+      filters.push({ enrollments: { some: { courseId: category.courseId } } });
+    }
+    if (post.audience === 'GRADE') {
+      filters.push({ grade: { equals: post.audienceGrade, mode: 'insensitive' } });
+    }
+    if (post.audience === 'CATEGORY' && !category.courseId) {
+      filters.push({ subscriptions: { some: { targetType: 'CATEGORY', categoryId: category.id } } });
+    }
+
+    return { AND: filters };
+  }
+
+  // Who in an announcement's audience has (`acknowledged` true) or hasn't read it, ordered by
+  // name, with how many have and haven't
+  static async report(post, category, { acknowledged, limit, skip }) {
+    const audience = this.audienceFilter(post, category);
+    const acknowledgedFilter = { AND: [audience, { acknowledgements: { some: { postId: post.id } } }] };
+    const pendingFilter = { AND: [audience, { acknowledgements: { none: { postId: post.id } } }] };
+
+    const [users, acknowledgedCount, pendingCount] = await Promise.all([
+      prisma.user.findMany({
+        where: acknowledged ? acknowledgedFilter : pendingFilter,
+        orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }, { id: 'asc' }],
+        take: limit,
+        skip: skip,
+        include: {
+          acknowledgements: { where: { postId: post.id } }
+        }
+      }),
+      prisma.user.count({ where: acknowledgedFilter }),
+      prisma.user.count({ where: pendingFilter })
+    ]);
+
+    return {
+      users: users.map(user => ({
+        id: user.id,
+        username: user.username,
+        fullName: `${user.firstName} ${user.lastName}`,
+        grade: user.grade,
+        acknowledgedAt: user.acknowledgements[0]?.createdAt ?? null
+      })),
+      acknowledgedCount,
+      pendingCount
+    };
+  }
+}
+
+module.exports = Acknowledgement;
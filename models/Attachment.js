@@ -0,0 +1,56 @@
+const prisma = require('../config/database');
+
+class Attachment {
+  // Record an uploaded file
+  static async create(attachmentData) {
+    const attachment = await prisma.attachment.create({
+      data: attachmentData
+    });
+
+    return this.toJSON(attachment);
+  }
+
+  // Find attachment by ID, with the post/reply it belongs to for access checks.
+  // Storage keys are kept so the file can be served.
+  static async findById(id) {
+    return prisma.attachment.findUnique({
+      where: { id },
+      include: {
+        post: {
+          select: { id: true, authorId: true, categoryId: true, isActive: true, moderationStatus: true, status: true, audience: true, audienceGrade: true }
+        },
+        reply: {
+          select: { id: true, authorId: true, isActive: true, moderationStatus: true }
+        }
+      }
+    });
+  }
+
+  // Count the attachments of a post (replyId null) or of one of its replies
+  static async countForTarget(postId, replyId = null) {
+    return prisma.attachment.count({ where: { postId, replyId } });
+  }
+
+  // Delete an attachment record
+  static async findByIdAndDelete(id) {
+    const attachment = await prisma.attachment.delete({
+      where: { id }
+    });
+
+    return this.toJSON(attachment);
+  }
+
+  // Transform attachment object for JSON response (storage keys stay private)
+  static toJSON(attachment) {
+    if (!attachment) return null;
+
+    const { storageKey, thumbnailKey, post, reply, ...attachmentData } = attachment;
+    return {
+      ...attachmentData,
+      url: `/api/attachments/${attachment.id}`,
+      thumbnailUrl: thumbnailKey ? `/api/attachments/${attachment.id}/thumbnail` : null
+    };
+  }
+}
+
+module.exports = Attachment;
@@ -0,0 +1,53 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+// Audit entries are append-only: there is deliberately no update or delete
+class AuditLog {
+  // Record a new audit entry
+  static async create(entryData) {
+    const entry = await prisma.auditLog.create({
+      data: entryData
+    });
+
+    return entry;
+  }
+
+  // Find audit entries
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const entries = await prisma.auditLog.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        actor: true
+      }
+    });
+
+    return entries.map(entry => this.toJSON(entry));
+  }
+
+  // Get audit entry count
+  static async count(filters = {}) {
+    return prisma.auditLog.count({ where: filters });
+  }
+
+  // Transform audit entry for JSON response
+  static toJSON(entry) {
+    if (!entry) return null;
+
+    return {
+      ...entry,
+      actor: entry.actor ? {
+        id: entry.actor.id,
+        username: entry.actor.username,
+        fullName: `${entry.actor.firstName} ${entry.actor.lastName}`,
+        role: entry.actor.role
+      } : undefined
+    };
+  }
+}
+
+module.exports = AuditLog;
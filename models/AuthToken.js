@@ -0,0 +1,54 @@
+const prisma = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// How long each kind of single-use token stays valid
+const TOKEN_TTL = {
+  EMAIL_VERIFICATION: 48 * 60 * 60 * 1000,
+  PASSWORD_RESET: 60 * 60 * 1000,
+  ACCOUNT_INVITE: 7 * 24 * 60 * 60 * 1000
+};
+
+class AuthToken {
+  // Issue a new single-use token and return the raw value (only its hash is stored)
+  static async create(userId, type) {
+    // A new token supersedes any outstanding one of the same type
+    await prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    const token = generateToken(32);
+
+    await prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+      }
+    });
+
+    return token;
+  }
+
+  // Mark a token as used and return its record, or null if it is unknown, used or expired
+  static async consume(token, type) {
+    const record = await prisma.authToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!record || record.type !== type || record.usedAt || record.expiresAt <= new Date()) {
+      return null;
+    }
+
+    // Guard against two concurrent requests redeeming the same token
+    const result = await prisma.authToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    return result.count === 1 ? record : null;
+  }
+}
+
+module.exports = AuthToken;
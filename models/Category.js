@@ -1,4 +1,6 @@
 const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+const User = require('./User');
 
 class Category {
   // Create a new category
@@ -44,7 +46,7 @@ class Category {
       where: filters,
       take: limit,
       skip: skip,
-      orderBy: sort ? Object.entries(sort).map(([key, value]) => ({ [key]: value === 1 ? 'asc' : 'desc' })) : undefined,
+      orderBy: toOrderBy(sort),
       include: {
         createdBy: true,
         _count: includePostCount ? {
@@ -114,7 +116,8 @@ class Category {
         username: category.createdBy.username,
         firstName: category.createdBy.firstName,
         lastName: category.createdBy.lastName,
-        fullName: `${category.createdBy.firstName} ${category.createdBy.lastName}`
+        fullName: `${category.createdBy.firstName} ${category.createdBy.lastName}`,
+        avatarUrls: User.avatarUrls(category.createdBy)
       } : undefined
     };
 
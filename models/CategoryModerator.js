@@ -0,0 +1,82 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+class CategoryModerator {
+  // Make a user a moderator of a category; assigning someone twice is a no-op
+  static async assign(categoryId, userId, assignedById) {
+    const moderator = await prisma.categoryModerator.upsert({
+      where: { categoryId_userId: { categoryId, userId } },
+      update: {},
+      create: { categoryId, userId, assignedById },
+      include: { user: true }
+    });
+
+    return this.toJSON(moderator);
+  }
+
+  // Remove a category moderator, returning false if they weren't one
+  static async remove(categoryId, userId) {
+    const result = await prisma.categoryModerator.deleteMany({
+      where: { categoryId, userId }
+    });
+
+    return result.count > 0;
+  }
+
+  // Check whether a user moderates a category
+  static async isModerator(userId, categoryId) {
+    const moderator = await prisma.categoryModerator.findUnique({
+      where: { categoryId_userId: { categoryId, userId } }
+    });
+
+    return Boolean(moderator);
+  }
+
+  // Get the ids of the categories a user moderates
+  static async findCategoryIds(userId) {
+    const moderators = await prisma.categoryModerator.findMany({
+      where: { userId },
+      select: { categoryId: true }
+    });
+
+    return moderators.map(moderator => moderator.categoryId);
+  }
+
+  // Find category moderators
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const moderators = await prisma.categoryModerator.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: { user: true }
+    });
+
+    return moderators.map(moderator => this.toJSON(moderator));
+  }
+
+  // Get category moderator count
+  static async count(filters = {}) {
+    return prisma.categoryModerator.count({ where: filters });
+  }
+
+  // Transform category moderator object for JSON response
+  static toJSON(moderator) {
+    if (!moderator) return null;
+
+    const { user, ...moderatorData } = moderator;
+    return {
+      ...moderatorData,
+      user: user ? {
+        id: user.id,
+        username: user.username,
+        fullName: `${user.firstName} ${user.lastName}`,
+        role: user.role
+      } : undefined
+    };
+  }
+}
+
+module.exports = CategoryModerator;
@@ -0,0 +1,105 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+class ContentFilterRule {
+  // Kinds of rule: a banned word or phrase, or a heuristic for links, duplicates or flooding
+  static TYPES = ['WORD', 'LINK', 'DUPLICATE', 'FLOOD'];
+
+  // What happens to content a rule catches. Only words can be masked.
+  static ACTIONS = ['REJECT', 'HOLD', 'MASK'];
+
+  // Create a rule
+  static async create(ruleData) {
+    const rule = await prisma.contentFilterRule.create({
+      data: {
+        ...ruleData,
+        pattern: ruleData.pattern?.trim().toLowerCase()
+      },
+      include: {
+        createdBy: true
+      }
+    });
+
+    return this.toJSON(rule);
+  }
+
+  // Find rule by ID
+  static async findById(id) {
+    const rule = await prisma.contentFilterRule.findUnique({
+      where: { id },
+      include: {
+        createdBy: true
+      }
+    });
+
+    return this.toJSON(rule);
+  }
+
+  // Find rules
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const rules = await prisma.contentFilterRule.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        createdBy: true
+      }
+    });
+
+    return rules.map(rule => this.toJSON(rule));
+  }
+
+  // Get rule count
+  static async count(filters = {}) {
+    return prisma.contentFilterRule.count({ where: filters });
+  }
+
+  // Every rule currently applied to new content
+  static async findActive() {
+    return prisma.contentFilterRule.findMany({
+      where: { isActive: true }
+    });
+  }
+
+  // Update rule
+  static async findByIdAndUpdate(id, updateData) {
+    if (updateData.pattern) updateData.pattern = updateData.pattern.trim().toLowerCase();
+
+    const rule = await prisma.contentFilterRule.update({
+      where: { id },
+      data: updateData,
+      include: {
+        createdBy: true
+      }
+    });
+
+    return this.toJSON(rule);
+  }
+
+  // Delete rule
+  static async findByIdAndDelete(id) {
+    return prisma.contentFilterRule.delete({
+      where: { id }
+    });
+  }
+
+  // Transform rule object for JSON response
+  static toJSON(rule) {
+    if (!rule) return null;
+
+    const { createdBy, ...ruleData } = rule;
+    return {
+      ...ruleData,
+      createdBy: createdBy ? {
+        id: createdBy.id,
+        username: createdBy.username,
+        fullName: `${createdBy.firstName} ${createdBy.lastName}`
+      } : undefined
+    };
+  }
+}
+
+module.exports = ContentFilterRule;
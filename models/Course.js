@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+const { hasPermission } = require('../utils/permissions');
+
+// Join codes avoid characters that are easy to mix up when read aloud or off a board
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const generateJoinCode = () => {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+};
+
+// Retry an insert/update that sets a new join code if the code is already taken
+const withUniqueJoinCode = async (write) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write(generateJoinCode());
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= 4) throw error;
+    }
+  }
+};
+
+class Course {
+  // Create a course; the creating teacher is enrolled as its teacher
+  static async create(courseData) {
+    const { createdById } = courseData;
+
+    const course = await withUniqueJoinCode(joinCode => prisma.course.create({
+      data: {
+        ...courseData,
+        name: courseData.name?.trim(),
+        description: courseData.description?.trim(),
+        joinCode,
+        enrollments: {
+          create: { userId: createdById, role: 'TEACHER' }
+        }
+      },
+      include: {
+        createdBy: true
+      }
+    }));
+
+    return this.toJSON(course);
+  }
+
+  // Find course by ID
+  static async findById(id, includeCounts = false) {
+    const course = await prisma.course.findUnique({
+      where: { id },
+      include: {
+        createdBy: true,
+        _count: includeCounts ? {
+          select: { enrollments: true, categories: true }
+        } : undefined
+      }
+    });
+
+    return this.toJSON(course);
+  }
+
+  // Find an active course by its join code
+  static async findByJoinCode(joinCode) {
+    const course = await prisma.course.findUnique({
+      where: { joinCode: joinCode.trim().toUpperCase() }
+    });
+
+    return course && course.isActive ? this.toJSON(course) : null;
+  }
+
+  // Find courses
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const courses = await prisma.course.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        createdBy: true,
+        _count: {
+          select: { enrollments: true, categories: true }
+        }
+      }
+    });
+
+    return courses.map(course => this.toJSON(course));
+  }
+
+  // Get course count
+  static async count(filters = {}) {
+    return prisma.course.count({ where: filters });
+  }
+
+  // Update course
+  static async findByIdAndUpdate(id, updateData) {
+    if (updateData.name) updateData.name = updateData.name.trim();
+    if (updateData.description) updateData.description = updateData.description.trim();
+
+    const course = await prisma.course.update({
+      where: { id },
+      data: updateData,
+      include: {
+        createdBy: true
+      }
+    });
+
+    return this.toJSON(course);
+  }
+
+  // Replace a course's join code, e.g. after it was shared too widely
+  static async regenerateJoinCode(id) {
+    const course = await withUniqueJoinCode(joinCode => prisma.course.update({
+      where: { id },
+      data: { joinCode }
+    }));
+
+    return course.joinCode;
+  }
+
+  // Prisma where clause for the categories a user can see: school-wide categories plus
+  // those of courses they are enrolled in. Users with `category:view:any` see everything;
+  // anonymous users only school-wide categories.
+  static categoryFilter(user) {
+    if (hasPermission(user, 'category:view:any')) return {};
+    if (!user) return { courseId: null };
+
+    return {
+      OR: [
+        { courseId: null },
+        { course: { enrollments: { some: { userId: user.id } } } }
+      ]
+    };
+  }
+
+  // Prisma where clause for the users a user can look up, e.g. to mention them: staff, and
+  // everyone sharing an active course with them. Users with `user:list` can look up anyone.
+  static userFilter(user) {
+    if (hasPermission(user, 'user:list')) return {};
+
+    return {
+      OR: [
+        { id: user.id },
+        { role: { in: ['TEACHER', 'ADMIN'] } },
+        { enrollments: { some: { course: { isActive: true, enrollments: { some: { userId: user.id } } } } } }
+      ]
+    };
+  }
+
+  // Check whether a user can see a category (and so the posts in it)
+  static async canAccessCategory(user, categoryId) {
+    if (hasPermission(user, 'category:view:any')) return true;
+
+    const count = await prisma.category.count({
+      where: { id: categoryId, ...this.categoryFilter(user) }
+    });
+
+    return count > 0;
+  }
+
+  // Keep only the ids of categories a user can see
+  static async filterVisibleCategoryIds(user, categoryIds) {
+    const categories = await prisma.category.findMany({
+      where: { id: { in: categoryIds }, ...this.categoryFilter(user) },
+      select: { id: true }
+    });
+
+    return categories.map(category => category.id);
+  }
+
+  // Check whether a user may manage a course: its teachers and users with `course:manage:any`
+  static async canManage(user, courseId) {
+    if (hasPermission(user, 'course:manage:any')) return true;
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { courseId_userId: { courseId, userId: user.id } }
+    });
+
+    return Boolean(enrollment) && enrollment.role === 'TEACHER';
+  }
+
+  // Transform course object for JSON response
+  static toJSON(course) {
+    if (!course) return null;
+
+    const { createdBy, _count, ...courseData } = course;
+    return {
+      ...courseData,
+      createdBy: createdBy ? {
+        id: createdBy.id,
+        username: createdBy.username,
+        fullName: `${createdBy.firstName} ${createdBy.lastName}`
+      } : undefined,
+      memberCount: _count ? _count.enrollments : undefined,
+      categoryCount: _count ? _count.categories : undefined
+    };
+  }
+}
+
+module.exports = Course;
@@ -0,0 +1,129 @@
+const prisma = require('../config/database');
+const Subscription = require('./Subscription');
+const Course = require('./Course');
+const Post = require('./Post');
+
+// Most items listed in each section of a digest
+const SECTION_LIMIT = 10;
+
+// Short author form used in digest items
+const authorToJSON = (author) => ({
+  id: author.id,
+  username: author.username,
+  fullName: `${author.firstName} ${author.lastName}`
+});
+
+class Digest {
+  // Find a batch of active, verified users who get digests at this frequency and haven't
+  // had one since `dueBefore`. Pass the last id of the previous batch as `afterId`.
+  static async findDueUsers(frequency, dueBefore, { limit, afterId } = {}) {
+    return prisma.user.findMany({
+      where: {
+        isActive: true,
+        emailVerified: true,
+        digestFrequency: frequency,
+        OR: [{ lastDigestAt: null }, { lastDigestAt: { lte: dueBefore } }],
+        ...(afterId ? { id: { gt: afterId } } : {})
+      },
+      orderBy: { id: 'asc' },
+      take: limit
+    });
+  }
+
+  // Gather what a user missed since a date: new posts in followed categories,
+  // replies to their posts and newly pinned announcements in categories they can see
+  static async gather(user, since) {
+    const userId = user.id;
+    const { categoryIds } = await Subscription.getFollowed(userId);
+    const visibleCategory = Course.categoryFilter(user);
+
+    const [newPosts, replies, announcements] = await Promise.all([
+      prisma.post.findMany({
+        where: {
+          isActive: true,
+          moderationStatus: 'APPROVED',
+          status: 'PUBLISHED',
+          categoryId: { in: categoryIds },
+          category: visibleCategory,
+          authorId: { not: userId },
+          // Scheduled posts and drafts count from when they went live
+          OR: [
+            { publishAt: null, createdAt: { gt: since } },
+            { publishAt: { gt: since } }
+          ],
+          AND: [Post.audienceFilter(user)]
+        },
+        include: { author: true, category: true },
+        orderBy: { createdAt: 'desc' },
+        take: SECTION_LIMIT
+      }),
+      prisma.reply.findMany({
+        where: {
+          isActive: true,
+          moderationStatus: 'APPROVED',
+          authorId: { not: userId },
+          createdAt: { gt: since },
+          post: { authorId: userId, isActive: true }
+        },
+        include: {
+          author: true,
+          post: {
+            select: { id: true, title: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: SECTION_LIMIT
+      }),
+      prisma.post.findMany({
+        where: {
+          isActive: true,
+          moderationStatus: 'APPROVED',
+          status: 'PUBLISHED',
+          isPinned: true,
+          pinnedAt: { gt: since },
+          category: visibleCategory,
+          AND: [Post.audienceFilter(user)]
+        },
+        include: { author: true, category: true },
+        orderBy: { pinnedAt: 'desc' },
+        take: SECTION_LIMIT
+      })
+    ]);
+
+    const postToJSON = (post) => ({
+      id: post.id,
+      title: post.title,
+      category: { id: post.category.id, name: post.category.name },
+      author: authorToJSON(post.author),
+      createdAt: post.createdAt
+    });
+
+    return {
+      since,
+      newPosts: newPosts.map(postToJSON),
+      replies: replies.map(reply => ({
+        id: reply.id,
+        content: reply.content,
+        post: reply.post,
+        author: authorToJSON(reply.author),
+        createdAt: reply.createdAt
+      })),
+      announcements: announcements.map(postToJSON)
+    };
+  }
+
+  // Check whether a digest has anything in it
+  static isEmpty(digest) {
+    return digest.newPosts.length === 0 && digest.replies.length === 0 && digest.announcements.length === 0;
+  }
+
+  // Remember when a user's digest covered activity up to
+  static async markSent(userId, sentAt) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { lastDigestAt: sentAt }
+    });
+  }
+}
+
+module.exports = Digest;
@@ -0,0 +1,89 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+class Enrollment {
+  // Roles a member can have within a course
+  static ROLES = ['STUDENT', 'TEACHER'];
+
+  // Find a user's enrollment in a course
+  static async findOne(courseId, userId) {
+    return prisma.enrollment.findUnique({
+      where: { courseId_userId: { courseId, userId } }
+    });
+  }
+
+  // Enroll users in a course, skipping any who are already members.
+  // Returns the ids of the users that were newly enrolled.
+  static async enroll(courseId, userIds, role = 'STUDENT') {
+    return prisma.$transaction(async (tx) => {
+      const existing = await tx.enrollment.findMany({
+        where: { courseId, userId: { in: userIds } },
+        select: { userId: true }
+      });
+      const existingIds = existing.map(enrollment => enrollment.userId);
+      const newIds = userIds.filter(userId => !existingIds.includes(userId));
+
+      await tx.enrollment.createMany({
+        data: newIds.map(userId => ({ courseId, userId, role })),
+        skipDuplicates: true
+      });
+
+      return newIds;
+    });
+  }
+
+  // Remove a user from a course, returning false if they weren't a member
+  static async unenroll(courseId, userId) {
+    const result = await prisma.enrollment.deleteMany({
+      where: { courseId, userId }
+    });
+
+    return result.count > 0;
+  }
+
+  // Count a course's members with a role
+  static async countByRole(courseId, role) {
+    return this.count({ courseId, role });
+  }
+
+  // Find enrollments
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const enrollments = await prisma.enrollment.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        user: true
+      }
+    });
+
+    return enrollments.map(enrollment => this.toJSON(enrollment));
+  }
+
+  // Get enrollment count
+  static async count(filters = {}) {
+    return prisma.enrollment.count({ where: filters });
+  }
+
+  // Transform enrollment object for JSON response
+  static toJSON(enrollment) {
+    if (!enrollment) return null;
+
+    const { user, ...enrollmentData } = enrollment;
+    return {
+      ...enrollmentData,
+      user: user ? {
+        id: user.id,
+        username: user.username,
+        fullName: `${user.firstName} ${user.lastName}`,
+        role: user.role,
+        grade: user.grade
+      } : undefined
+    };
+  }
+}
+
+module.exports = Enrollment;
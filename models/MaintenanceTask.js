@@ -0,0 +1,33 @@
+const prisma = require('../config/database');
+
+// One-off data fixes run from scripts/ record their progress here
+class MaintenanceTask {
+  // Find a task's progress, or null if it has never run
+  static async findByName(name) {
+    return prisma.maintenanceTask.findUnique({
+      where: { name }
+    });
+  }
+
+  // Record the last row a task has handled
+  static async saveProgress(name, lastId) {
+    return prisma.maintenanceTask.upsert({
+      where: { name },
+      update: { lastId },
+      create: { name, lastId }
+    });
+  }
+
+  // Record that a task has finished
+  static async complete(name) {
+    const completedAt = new Date();
+
+    return prisma.maintenanceTask.upsert({
+      where: { name },
+      update: { completedAt },
+      create: { name, completedAt }
+    });
+  }
+}
+
+module.exports = MaintenanceTask;
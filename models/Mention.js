@@ -0,0 +1,58 @@
+const prisma = require('../config/database');
+const User = require('./User');
+const { findMentions, mentionedUsernames } = require('../utils/mentions');
+
+class Mention {
+  // Store the users mentioned in the content of a post, or of a reply with `replyId`,
+  // replacing the mentions stored before an edit. Usernames that don't belong to an active
+  // user are left as plain text.
+  static async sync({ postId, replyId = null, content }) {
+    const found = await Promise.all(mentionedUsernames(content).map(username => User.findByUsername(username)));
+    const users = found.filter(user => user && user.isActive);
+    const userIds = users.map(user => user.id);
+
+    const existing = await prisma.mention.findMany({
+      where: { postId, replyId },
+      select: { userId: true }
+    });
+    const existingIds = existing.map(mention => mention.userId);
+    const added = users.filter(user => !existingIds.includes(user.id));
+
+    await prisma.$transaction([
+      prisma.mention.deleteMany({
+        where: { postId, replyId, userId: { notIn: userIds } }
+      }),
+      prisma.mention.createMany({
+        data: added.map(user => ({ postId, replyId, userId: user.id }))
+      })
+    ]);
+  }
+
+  // Mentions in a post or reply whose users haven't been notified yet, with the full user
+  static async findUnnotified({ postId, replyId = null }) {
+    return prisma.mention.findMany({
+      where: { postId, replyId, notified: false },
+      include: { user: true }
+    });
+  }
+
+  // Record that the users of these mentions have been notified
+  static async markNotified(ids) {
+    await prisma.mention.updateMany({
+      where: { id: { in: ids } },
+      data: { notified: true }
+    });
+  }
+
+  // Mention spans of content for a JSON response: each @username that was stored as a
+  // mention, with the mentioned user's id and offsets into the Markdown source
+  static spans(content, mentions) {
+    const userIds = new Map(mentions.map(mention => [mention.user.username, mention.user.id]));
+
+    return findMentions(content)
+      .filter(span => userIds.has(span.username))
+      .map(span => ({ ...span, userId: userIds.get(span.username) }));
+  }
+}
+
+module.exports = Mention;
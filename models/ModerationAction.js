@@ -0,0 +1,51 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+class ModerationAction {
+  // Find recorded moderation actions
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const actions = await prisma.moderationAction.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        moderator: true,
+        author: true,
+        _count: {
+          select: { reports: true }
+        }
+      }
+    });
+
+    return actions.map(action => this.toJSON(action));
+  }
+
+  // Get moderation action count
+  static async count(filters = {}) {
+    return prisma.moderationAction.count({ where: filters });
+  }
+
+  // Transform moderation action for JSON response
+  static toJSON(action) {
+    if (!action) return null;
+
+    const { moderator, author, _count, ...actionData } = action;
+    const userToJSON = (user) => (user ? {
+      id: user.id,
+      username: user.username,
+      fullName: `${user.firstName} ${user.lastName}`
+    } : undefined);
+
+    return {
+      ...actionData,
+      moderator: userToJSON(moderator),
+      author: userToJSON(author),
+      reportCount: _count ? _count.reports : undefined
+    };
+  }
+}
+
+module.exports = ModerationAction;
@@ -0,0 +1,143 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+const { publishUserEvent } = require('../utils/realtime');
+
+class Notification {
+  // Every notification type, in the order shown to users
+  static TYPES = ['POST_REPLY', 'REPLY_REPLY', 'POST_LIKE', 'REPLY_LIKE', 'POST_PINNED', 'POST_LOCKED', 'MODERATION', 'MENTION'];
+
+  // Notify a user about something that happened.
+  // Skipped when users would be notified about their own action or have muted the type, and,
+  // with `skipIfUnread`, while they haven't read the same notification from the same actor
+  // (e.g. a like that was taken back and given again).
+  // Errors are logged rather than thrown so they never break the action that triggered them.
+  static async notify({ userId, actorId, type, postId, replyId, data, skipIfUnread = false }) {
+    try {
+      if (!userId || userId === actorId) return null;
+
+      if (skipIfUnread) {
+        const unread = await prisma.notification.findFirst({
+          where: { userId, actorId, type, postId, replyId: replyId ?? null, readAt: null },
+          select: { id: true }
+        });
+        if (unread) return null;
+      }
+
+      const recipient = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { isActive: true, mutedNotificationTypes: true }
+      });
+      if (!recipient || !recipient.isActive || recipient.mutedNotificationTypes.includes(type)) {
+        return null;
+      }
+
+      const notification = await prisma.notification.create({
+        data: { userId, actorId, type, postId, replyId, data },
+        include: {
+          actor: true,
+          post: {
+            select: { id: true, title: true }
+          }
+        }
+      });
+
+      publishUserEvent(userId, 'notification', this.toJSON(notification));
+      return notification;
+    } catch (error) {
+      console.error('Notification error:', error);
+      return null;
+    }
+  }
+
+  // Find notifications
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const notifications = await prisma.notification.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        actor: true,
+        post: {
+          select: { id: true, title: true }
+        }
+      }
+    });
+
+    return notifications.map(notification => this.toJSON(notification));
+  }
+
+  // Get notification count
+  static async count(filters = {}) {
+    return prisma.notification.count({ where: filters });
+  }
+
+  // Get a user's unread notification count
+  static async countUnread(userId) {
+    return this.count({ userId, readAt: null });
+  }
+
+  // Mark one of a user's notifications as read, returning false if it isn't theirs
+  static async markRead(id, userId) {
+    const result = await prisma.notification.updateMany({
+      where: { id, userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      const existing = await prisma.notification.findFirst({ where: { id, userId } });
+      return Boolean(existing);
+    }
+    return true;
+  }
+
+  // Mark all of a user's notifications as read
+  static async markAllRead(userId) {
+    const result = await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    return result.count;
+  }
+
+  // Get the notification types a user has muted
+  static async getMutedTypes(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { mutedNotificationTypes: true }
+    });
+
+    return user ? user.mutedNotificationTypes : [];
+  }
+
+  // Replace the notification types a user has muted
+  static async setMutedTypes(userId, types) {
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { mutedNotificationTypes: { set: types } },
+      select: { mutedNotificationTypes: true }
+    });
+
+    return user.mutedNotificationTypes;
+  }
+
+  // Transform notification object for JSON response
+  static toJSON(notification) {
+    if (!notification) return null;
+
+    return {
+      ...notification,
+      isRead: Boolean(notification.readAt),
+      actor: notification.actor ? {
+        id: notification.actor.id,
+        username: notification.actor.username,
+        fullName: `${notification.actor.firstName} ${notification.actor.lastName}`
+      } : null
+    };
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,108 @@
+const prisma = require('../config/database');
+
+class Poll {
+  // When voters get to see the results: straight away, once they have voted, or once the
+  // poll has closed. The post's author can always see them.
+  static RESULTS_VISIBILITY = ['ALWAYS', 'AFTER_VOTE', 'AFTER_CLOSE'];
+
+  // What to load with a poll for toJSON
+  static INCLUDE = {
+    include: {
+      options: { orderBy: { position: 'asc' } },
+      votes: {
+        include: {
+          user: { select: { id: true, username: true, firstName: true, lastName: true } }
+        }
+      }
+    }
+  };
+
+  // Prisma nested create for a new post's poll, from { options, allowMultiple, isAnonymous,
+  // resultsVisibility, closesAt } where `options` holds the option texts in order
+  static createData({ options, ...settings }) {
+    return {
+      create: {
+        ...settings,
+        options: {
+          create: options.map((text, position) => ({ text: text.trim(), position }))
+        }
+      }
+    };
+  }
+
+  // Find the poll of a post
+  static async findByPostId(postId) {
+    return prisma.poll.findUnique({
+      where: { postId },
+      ...this.INCLUDE
+    });
+  }
+
+  // Whether a poll no longer takes votes
+  static isClosed(poll) {
+    return Boolean(poll.closesAt) && new Date(poll.closesAt) <= new Date();
+  }
+
+  // Record a user's choice, replacing any vote they cast before
+  static async vote(pollId, userId, optionIds) {
+    await prisma.$transaction([
+      prisma.pollVote.deleteMany({
+        where: { pollId, userId }
+      }),
+      prisma.pollVote.createMany({
+        data: optionIds.map(optionId => ({ pollId, optionId, userId }))
+      })
+    ]);
+
+    return prisma.poll.findUnique({
+      where: { id: pollId },
+      ...this.INCLUDE
+    });
+  }
+
+  // Transform poll object for JSON response, as seen by `viewerId` (null when anonymous).
+  // Vote counts are left out until the viewer may see the results, and voters are never
+  // listed for anonymous polls.
+  static toJSON(poll, { viewerId = null, authorId = null } = {}) {
+    if (!poll) return null;
+
+    const isClosed = this.isClosed(poll);
+    const myVotes = viewerId
+      ? poll.votes.filter(vote => vote.userId === viewerId).map(vote => vote.optionId)
+      : [];
+    const resultsVisible = poll.resultsVisibility === 'ALWAYS'
+      || isClosed
+      || (poll.resultsVisibility === 'AFTER_VOTE' && myVotes.length > 0)
+      || (Boolean(viewerId) && viewerId === authorId);
+
+    const options = poll.options.map(option => {
+      const votes = poll.votes.filter(vote => vote.optionId === option.id);
+      return {
+        id: option.id,
+        text: option.text,
+        voteCount: resultsVisible ? votes.length : undefined,
+        voters: resultsVisible && !poll.isAnonymous ? votes.map(vote => ({
+          id: vote.user.id,
+          username: vote.user.username,
+          fullName: `${vote.user.firstName} ${vote.user.lastName}`
+        })) : undefined
+      };
+    });
+
+    return {
+      id: poll.id,
+      allowMultiple: poll.allowMultiple,
+      isAnonymous: poll.isAnonymous,
+      resultsVisibility: poll.resultsVisibility,
+      closesAt: poll.closesAt,
+      isClosed,
+      options,
+      voterCount: resultsVisible ? new Set(poll.votes.map(vote => vote.userId)).size : undefined,
+      hasVoted: myVotes.length > 0,
+      myVotes,
+      resultsVisible
+    };
+  }
+}
+
+module.exports = Poll;
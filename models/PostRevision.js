@@ -0,0 +1,100 @@
+const prisma = require('../config/database');
+
+class PostRevision {
+  // Record an edit of a post or reply.
+  // `before` and `after` are the content before and after the edit; the first edit also
+  // stores the original content as revision 1 so every version can be diffed.
+  static async record({ postId, replyId = null, editorId, before, after, restoredFromId }) {
+    return prisma.$transaction(async (tx) => {
+      // Lock the post so two edits saved at once can't both take the next number
+      await tx.$queryRaw`SELECT id FROM posts WHERE id = ${postId} FOR UPDATE`;
+
+      const where = { postId, replyId };
+      let number = await tx.postRevision.count({ where });
+
+      if (number === 0) {
+        number = 1;
+        await tx.postRevision.create({
+          data: {
+            postId,
+            replyId,
+            editorId: before.authorId,
+            number,
+            title: before.title,
+            content: before.content,
+            tags: before.tags || [],
+            createdAt: before.createdAt
+          }
+        });
+      }
+
+      const revision = await tx.postRevision.create({
+        data: {
+          postId,
+          replyId,
+          editorId,
+          number: number + 1,
+          title: after.title,
+          content: after.content,
+          tags: after.tags || [],
+          restoredFromId
+        },
+        include: { editor: true }
+      });
+
+      return this.toJSON(revision);
+    });
+  }
+
+  // Find a revision by ID
+  static async findById(id) {
+    const revision = await prisma.postRevision.findUnique({
+      where: { id },
+      include: { editor: true }
+    });
+
+    return this.toJSON(revision);
+  }
+
+  // List revisions of a post (or of one of its replies), newest first
+  static async findByTarget(postId, replyId = null) {
+    const revisions = await prisma.postRevision.findMany({
+      where: { postId, replyId },
+      orderBy: { number: 'desc' },
+      include: { editor: true }
+    });
+
+    return revisions.map(revision => this.toJSON(revision));
+  }
+
+  // Find the revision that came right before this one
+  static async findPrevious(revision) {
+    const previous = await prisma.postRevision.findFirst({
+      where: {
+        postId: revision.postId,
+        replyId: revision.replyId,
+        number: { lt: revision.number }
+      },
+      orderBy: { number: 'desc' },
+      include: { editor: true }
+    });
+
+    return this.toJSON(previous);
+  }
+
+  // Transform revision object for JSON response
+  static toJSON(revision) {
+    if (!revision) return null;
+
+    return {
+      ...revision,
+      editor: revision.editor ? {
+        id: revision.editor.id,
+        username: revision.editor.username,
+        fullName: `${revision.editor.firstName} ${revision.editor.lastName}`
+      } : undefined
+    };
+  }
+}
+
+module.exports = PostRevision;
@@ -0,0 +1,187 @@
+const prisma = require('../config/database');
+
+// Report status that each resolve action leads to
+const RESOLUTION_STATUS = {
+  DISMISS: 'DISMISSED',
+  HIDE_CONTENT: 'ACTIONED',
+  WARN_AUTHOR: 'ACTIONED',
+  SUSPEND_AUTHOR: 'ACTIONED'
+};
+
+// Prisma where clause selecting the reports about one piece of content
+const targetWhere = (targetType, targetId) => {
+  return targetType === 'POST' ? { targetType, postId: targetId } : { targetType, replyId: targetId };
+};
+
+class Report {
+  // Reasons a user can pick when reporting content
+  static REASONS = ['SPAM', 'HARASSMENT', 'INAPPROPRIATE', 'OFF_TOPIC', 'OTHER'];
+
+  // Actions a moderator can take when resolving reports
+  static ACTIONS = Object.keys(RESOLUTION_STATUS);
+
+  // Create a new report
+  static async create(reportData) {
+    const report = await prisma.report.create({
+      data: {
+        ...reportData,
+        details: reportData.details?.trim()
+      }
+    });
+
+    return report;
+  }
+
+  // Find a user's existing report on a piece of content
+  static async findByReporter(reporterId, targetType, targetId) {
+    return prisma.report.findFirst({
+      where: {
+        reporterId,
+        ...targetWhere(targetType, targetId)
+      }
+    });
+  }
+
+  // Get open reports grouped by the content they are about, most reported first.
+  // Pass `categoryIds` to only include content in those categories.
+  static async getQueue(options = {}) {
+    const { limit, skip, targetType, categoryIds } = options;
+    const where = { status: 'OPEN', ...(targetType ? { targetType } : {}) };
+    if (categoryIds) {
+      where.OR = [
+        { post: { categoryId: { in: categoryIds } } },
+        { reply: { post: { categoryId: { in: categoryIds } } } }
+      ];
+    }
+
+    const [groups, allGroups] = await Promise.all([
+      prisma.report.groupBy({
+        by: ['targetType', 'postId', 'replyId'],
+        where,
+        _count: { _all: true },
+        _min: { createdAt: true },
+        _max: { createdAt: true },
+        orderBy: [{ _count: { id: 'desc' } }, { _min: { createdAt: 'asc' } }],
+        take: limit,
+        skip: skip
+      }),
+      prisma.report.groupBy({
+        by: ['targetType', 'postId', 'replyId'],
+        where
+      })
+    ]);
+
+    const postIds = groups.filter(group => group.postId).map(group => group.postId);
+    const replyIds = groups.filter(group => group.replyId).map(group => group.replyId);
+
+    const [reports, posts, replies] = await Promise.all([
+      prisma.report.findMany({
+        where: {
+          status: 'OPEN',
+          OR: [{ postId: { in: postIds } }, { replyId: { in: replyIds } }]
+        },
+        include: { reporter: true },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.post.findMany({
+        where: { id: { in: postIds } },
+        include: { author: true }
+      }),
+      prisma.reply.findMany({
+        where: { id: { in: replyIds } },
+        include: { author: true, post: { select: { id: true, title: true } } }
+      })
+    ]);
+
+    const contentById = {};
+    [...posts, ...replies].forEach(content => {
+      contentById[content.id] = content;
+    });
+
+    const queue = groups.map(group => {
+      const targetId = group.postId || group.replyId;
+      const groupReports = reports.filter(report => (report.postId || report.replyId) === targetId);
+
+      const reasons = {};
+      groupReports.forEach(report => {
+        reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+      });
+
+      return {
+        targetType: group.targetType,
+        targetId,
+        reportCount: group._count._all,
+        reasons,
+        firstReportedAt: group._min.createdAt,
+        lastReportedAt: group._max.createdAt,
+        target: this.targetToJSON(contentById[targetId]),
+        reports: groupReports.map(report => this.toJSON(report))
+      };
+    });
+
+    return { queue, total: allGroups.length };
+  }
+
+  // Close every open report on a piece of content and record the moderator's action
+  static async resolveTarget(targetType, targetId, { moderatorId, authorId, action, note }) {
+    return prisma.$transaction(async (tx) => {
+      const moderationAction = await tx.moderationAction.create({
+        data: {
+          moderatorId,
+          authorId,
+          action,
+          targetType,
+          targetId,
+          note: note?.trim()
+        }
+      });
+
+      const result = await tx.report.updateMany({
+        where: { status: 'OPEN', ...targetWhere(targetType, targetId) },
+        data: {
+          status: RESOLUTION_STATUS[action],
+          actionId: moderationAction.id
+        }
+      });
+
+      return { action: moderationAction, resolvedCount: result.count };
+    });
+  }
+
+  // Transform a user relation into the short form used in moderation responses
+  static userToJSON(user) {
+    return user ? {
+      id: user.id,
+      username: user.username,
+      fullName: `${user.firstName} ${user.lastName}`
+    } : undefined;
+  }
+
+  // Transform reported post/reply for JSON response
+  static targetToJSON(content) {
+    if (!content) return null;
+
+    return {
+      id: content.id,
+      title: content.title,
+      content: content.content,
+      isActive: content.isActive,
+      post: content.post,
+      author: this.userToJSON(content.author),
+      createdAt: content.createdAt
+    };
+  }
+
+  // Transform report object for JSON response
+  static toJSON(report) {
+    if (!report) return null;
+
+    const { reporter, ...reportData } = report;
+    return {
+      ...reportData,
+      reporter: this.userToJSON(reporter)
+    };
+  }
+}
+
+module.exports = Report;
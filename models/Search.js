@@ -0,0 +1,132 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { hasPermission } = require('../utils/permissions');
+
+// Control characters mark highlighted words so the snippet can be HTML-escaped afterwards
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const SNIPPET_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+
+// Escape a headline and turn the highlight markers into <mark> tags
+const toHighlightedHtml = (text) => {
+  if (text === null || text === undefined) return text;
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+};
+
+class Search {
+  // Full-text search over posts and replies.
+  // `tsquery` must already be in to_tsquery syntax (see utils/search.js).
+  // `viewer` limits results to categories that user can see (see Course.categoryFilter).
+  static async search(tsquery, filters = {}, options = {}) {
+    const { type, categoryId, authorId, role, from, to, viewer } = filters;
+    const { limit = 20, skip = 0 } = options;
+
+    // Conditions shared by both branches; `p` is the post, `u` the author and `hit` the matched row
+    const conditions = (hit) => {
+      const clauses = [Prisma.sql`p.is_active = true`, Prisma.sql`p.moderation_status = 'APPROVED'`, Prisma.sql`p.status = 'PUBLISHED'`];
+      if (categoryId) clauses.push(Prisma.sql`p.category_id = ${categoryId}`);
+      if (!viewer) {
+        clauses.push(Prisma.sql`p.category_id IN (SELECT vc.id FROM categories vc WHERE vc.course_id IS NULL)`);
+      } else if (!hasPermission(viewer, 'category:view:any')) {
+        clauses.push(Prisma.sql`p.category_id IN (
+          SELECT vc.id FROM categories vc
+          WHERE vc.course_id IS NULL
+             OR vc.course_id IN (SELECT e.course_id FROM enrollments e WHERE e.user_id = ${viewer.id})
+        )`);
+      }
+      if (!hasPermission(viewer, 'announcement:create')) {
+        // Grade announcements only reach students of that grade
+        clauses.push(Prisma.sql`(p.audience IS NULL OR p.audience <> 'GRADE' OR lower(p.audience_grade) = lower(${viewer?.grade || ''}))`);
+      }
+      if (authorId) clauses.push(Prisma.sql`u.id = ${authorId}`);
+      if (role) clauses.push(Prisma.sql`u.role::text = ${role}`);
+      if (from) clauses.push(Prisma.sql`${Prisma.raw(hit)}.created_at >= ${from}`);
+      if (to) clauses.push(Prisma.sql`${Prisma.raw(hit)}.created_at <= ${to}`);
+      return Prisma.join(clauses, ' AND ');
+    };
+
+    const branches = [];
+    if (!type || type === 'post') {
+      branches.push(Prisma.sql`
+        SELECT 'post' AS type, p.id, p.id AS post_id, p.author_id, p.content AS body,
+               ts_rank_cd(p.search_vector, q.query) AS rank, p.created_at
+        FROM posts p
+        CROSS JOIN q
+        JOIN users u ON u.id = p.author_id
+        WHERE p.search_vector @@ q.query AND ${conditions('p')}
+      `);
+    }
+    if (!type || type === 'reply') {
+      branches.push(Prisma.sql`
+        SELECT 'reply' AS type, r.id, r.post_id, r.author_id, r.content AS body,
+               ts_rank_cd(r.search_vector, q.query) AS rank, r.created_at
+        FROM replies r
+        CROSS JOIN q
+        JOIN posts p ON p.id = r.post_id
+        JOIN users u ON u.id = r.author_id
+        WHERE r.search_vector @@ q.query AND r.is_active = true AND r.moderation_status = 'APPROVED' AND ${conditions('r')}
+      `);
+    }
+
+    const hits = Prisma.sql`
+      q AS (SELECT to_tsquery('english', ${tsquery}) AS query),
+      hits AS (${Prisma.join(branches, ' UNION ALL ')})
+    `;
+
+    const [rows, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        WITH ${hits}
+        SELECT h.type, h.id, h.post_id AS "postId", h.rank, h.created_at AS "createdAt",
+               p.title,
+               ts_headline('english', p.title, q.query, ${TITLE_OPTIONS}) AS "titleHighlight",
+               ts_headline('english', h.body, q.query, ${SNIPPET_OPTIONS}) AS snippet,
+               u.id AS "authorId", u.username, u.first_name AS "firstName", u.last_name AS "lastName", u.role,
+               c.id AS "categoryId", c.name AS "categoryName"
+        FROM (SELECT * FROM hits ORDER BY rank DESC, created_at DESC, id LIMIT ${limit} OFFSET ${skip}) h
+        CROSS JOIN q
+        JOIN posts p ON p.id = h.post_id
+        JOIN users u ON u.id = h.author_id
+        JOIN categories c ON c.id = p.category_id
+        ORDER BY h.rank DESC, h.created_at DESC, h.id
+      `,
+      prisma.$queryRaw`WITH ${hits} SELECT count(*)::int AS total FROM hits`
+    ]);
+
+    return { results: rows.map(row => this.toJSON(row)), total };
+  }
+
+  // Transform search row for JSON response
+  static toJSON(row) {
+    return {
+      type: row.type,
+      id: row.id,
+      postId: row.postId,
+      title: row.title,
+      titleHighlight: toHighlightedHtml(row.titleHighlight),
+      snippet: toHighlightedHtml(row.snippet),
+      rank: Number(row.rank),
+      createdAt: row.createdAt,
+      author: {
+        id: row.authorId,
+        username: row.username,
+        fullName: `${row.firstName} ${row.lastName}`,
+        role: row.role
+      },
+      category: {
+        id: row.categoryId,
+        name: row.categoryName
+      }
+    };
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30;
+
+class Session {
+  // Create a new session (one token family per login) and return the raw refresh token.
+  // Pass a transaction client as `client` to create it inside a transaction.
+  static async create(userId, { userAgent, ipAddress, familyId } = {}, client = prisma) {
+    const refreshToken = generateToken();
+
+    const session = await client.session.create({
+      data: {
+        userId,
+        familyId: familyId || crypto.randomUUID(),
+        tokenHash: hashToken(refreshToken),
+        userAgent,
+        ipAddress,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    return { session, refreshToken };
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    return prisma.session.findUnique({
+      where: { id }
+    });
+  }
+
+  // Find session by raw refresh token
+  static async findByToken(refreshToken) {
+    return prisma.session.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+  }
+
+  // Exchange a refresh token for a new one in the same family.
+  // Presenting a token that was already rotated means it leaked, so the whole family is revoked.
+  static async rotate(refreshToken, { userAgent, ipAddress } = {}) {
+    const session = await this.findByToken(refreshToken);
+    if (!session) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (session.replacedById || session.revokedAt) {
+      await this.revokeFamily(session.familyId);
+      return { error: 'Refresh token reuse detected' };
+    }
+
+    if (session.expiresAt <= new Date()) {
+      return { error: 'Refresh token expired' };
+    }
+
+    // The old token is claimed and its replacement created in one transaction. Of two
+    // requests rotating the same token at once only one claim matches; the other is rolled
+    // back and treated as reuse too.
+    const reused = new Error('Refresh token reuse detected');
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const next = await this.create(session.userId, {
+          userAgent,
+          ipAddress,
+          familyId: session.familyId
+        }, tx);
+
+        const { count } = await tx.session.updateMany({
+          where: { id: session.id, replacedById: null, revokedAt: null },
+          data: { replacedById: next.session.id }
+        });
+        if (count === 0) throw reused;
+
+        return next;
+      });
+    } catch (error) {
+      if (error !== reused) throw error;
+
+      await this.revokeFamily(session.familyId);
+      return { error: reused.message };
+    }
+  }
+
+  // Check whether a session can still authenticate requests
+  static isActive(session) {
+    return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+  }
+
+  // Revoke every token in a family (logout of one device)
+  static async revokeFamily(familyId) {
+    const result = await prisma.session.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return result.count;
+  }
+
+  // Revoke every session of a user (logout everywhere)
+  static async revokeAllForUser(userId) {
+    const result = await prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return result.count;
+  }
+
+  // List active devices for a user (the latest token of each live family)
+  static async findActiveByUser(userId) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        replacedById: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return sessions.map(session => this.toJSON(session));
+  }
+
+  // Transform session object for JSON response (never expose the token hash)
+  static toJSON(session) {
+    if (!session) return null;
+
+    const { tokenHash, replacedById, ...sessionWithoutToken } = session;
+    return {
+      ...sessionWithoutToken,
+      lastUsedAt: session.createdAt
+    };
+  }
+}
+
+module.exports = Session;
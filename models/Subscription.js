@@ -0,0 +1,103 @@
+const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+
+// Column holding the followed item for each target type
+const TARGET_FIELDS = {
+  POST: 'postId',
+  CATEGORY: 'categoryId',
+  USER: 'followedUserId'
+};
+
+class Subscription {
+  // Every kind of thing a user can follow
+  static TARGET_TYPES = Object.keys(TARGET_FIELDS);
+
+  // Follow a post, category or user; following something twice is a no-op
+  static async subscribe(userId, targetType, targetId) {
+    const field = TARGET_FIELDS[targetType];
+
+    return prisma.subscription.upsert({
+      where: { [`userId_${field}`]: { userId, [field]: targetId } },
+      update: {},
+      create: { userId, targetType, [field]: targetId }
+    });
+  }
+
+  // Stop following something, returning false if it wasn't followed
+  static async unsubscribe(userId, targetType, targetId) {
+    const result = await prisma.subscription.deleteMany({
+      where: { userId, [TARGET_FIELDS[targetType]]: targetId }
+    });
+
+    return result.count > 0;
+  }
+
+  // Check whether a user follows something
+  static async isSubscribed(userId, targetType, targetId) {
+    const subscription = await prisma.subscription.findFirst({
+      where: { userId, [TARGET_FIELDS[targetType]]: targetId }
+    });
+
+    return Boolean(subscription);
+  }
+
+  // Get the ids of everything a user follows, grouped by type
+  static async getFollowed(userId) {
+    const subscriptions = await prisma.subscription.findMany({ where: { userId } });
+
+    const idsOf = (targetType) => subscriptions
+      .filter(subscription => subscription.targetType === targetType)
+      .map(subscription => subscription[TARGET_FIELDS[targetType]]);
+
+    return {
+      postIds: idsOf('POST'),
+      categoryIds: idsOf('CATEGORY'),
+      userIds: idsOf('USER')
+    };
+  }
+
+  // Find subscriptions
+  static async find(filters = {}, options = {}) {
+    const { limit, skip, sort } = options;
+
+    const subscriptions = await prisma.subscription.findMany({
+      where: filters,
+      take: limit,
+      skip: skip,
+      orderBy: toOrderBy(sort),
+      include: {
+        post: {
+          select: { id: true, title: true }
+        },
+        category: {
+          select: { id: true, name: true }
+        },
+        followedUser: true
+      }
+    });
+
+    return subscriptions.map(subscription => this.toJSON(subscription));
+  }
+
+  // Get subscription count
+  static async count(filters = {}) {
+    return prisma.subscription.count({ where: filters });
+  }
+
+  // Transform subscription object for JSON response
+  static toJSON(subscription) {
+    if (!subscription) return null;
+
+    const { followedUser, ...subscriptionData } = subscription;
+    return {
+      ...subscriptionData,
+      followedUser: followedUser ? {
+        id: followedUser.id,
+        username: followedUser.username,
+        fullName: `${followedUser.firstName} ${followedUser.lastName}`
+      } : undefined
+    };
+  }
+}
+
+module.exports = Subscription;
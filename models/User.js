@@ -1,20 +1,71 @@
 const bcrypt = require('bcryptjs');
 const prisma = require('../config/database');
+const { toOrderBy } = require('../utils/pagination');
+const uploadConfig = require('../config/uploads');
+const rateLimitConfig = require('../config/rateLimits');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// How many passwords createMany hashes at a time. Hashing is slow on purpose, so a whole
+// import hashed at once would hold up every other request until it finished.
+const HASH_BATCH_SIZE = 10;
 
 class User {
-  // Create a new user
-  static async create(userData) {
-    // Validate required fields based on role
+  // Roles a user account can have
+  static ROLES = ['STUDENT', 'TEACHER', 'ADMIN'];
+
+  // Stored instead of a hash for accounts without a password yet, such as imported users
+  // who haven't accepted their invite. No password matches it.
+  static UNUSABLE_PASSWORD = '!';
+
+  // Hash a new password, or give the unusable marker when there is none
+  static async hashPassword(password) {
+    if (!password) return this.UNUSABLE_PASSWORD;
+
+    const salt = await bcrypt.genSalt(12);
+    return bcrypt.hash(password, salt);
+  }
+
+  // Check user data against the rules every new account must meet.
+  // Returns a list of { field, message } problems, empty when the data is valid.
+  static validate(userData) {
+    const problems = [];
+    const username = userData.username?.trim() || '';
+
+    if (username.length < 3 || username.length > 30) {
+      problems.push({ field: 'username', message: 'Username must be 3 to 30 characters' });
+    }
+    if (!EMAIL_PATTERN.test(userData.email?.trim() || '')) {
+      problems.push({ field: 'email', message: 'A valid email is required' });
+    }
+    if (!userData.firstName?.trim()) {
+      problems.push({ field: 'firstName', message: 'First name is required' });
+    }
+    if (!userData.lastName?.trim()) {
+      problems.push({ field: 'lastName', message: 'Last name is required' });
+    }
+    if (!this.ROLES.includes(userData.role)) {
+      problems.push({ field: 'role', message: `Role must be one of ${this.ROLES.join(', ')}` });
+    }
     if (userData.role === 'STUDENT' && !userData.grade) {
-      throw new Error('Grade is required for students');
+      problems.push({ field: 'grade', message: 'Grade is required for students' });
     }
     if (userData.role === 'TEACHER' && !userData.subject) {
-      throw new Error('Subject is required for teachers');
+      problems.push({ field: 'subject', message: 'Subject is required for teachers' });
+    }
+
+    return problems;
+  }
+
+  // Create a new user
+  static async create(userData) {
+    const problems = this.validate(userData);
+    if (problems.length > 0) {
+      throw new Error(problems[0].message);
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(12);
-    const hashedPassword = await bcrypt.hash(userData.password, salt);
+    const hashedPassword = await this.hashPassword(userData.password);
 
     // Trim and process data
     const processedData = {
@@ -33,6 +84,37 @@ class User {
     return this.toJSON(user);
   }
 
+  // Create several users in one transaction: either all of them are created or none are.
+  // Passwords are hashed a batch at a time before the transaction starts to keep it short;
+  // users without a password get the unusable marker.
+  static async createMany(usersData) {
+    usersData.forEach(userData => {
+      const problems = this.validate(userData);
+      if (problems.length > 0) {
+        throw new Error(`${userData.username}: ${problems[0].message}`);
+      }
+    });
+
+    const processedData = [];
+    for (let start = 0; start < usersData.length; start += HASH_BATCH_SIZE) {
+      const batch = await Promise.all(usersData.slice(start, start + HASH_BATCH_SIZE).map(async userData => ({
+        ...userData,
+        username: userData.username.trim(),
+        email: userData.email.trim().toLowerCase(),
+        password: await this.hashPassword(userData.password),
+        firstName: userData.firstName.trim(),
+        lastName: userData.lastName.trim()
+      })));
+      processedData.push(...batch);
+    }
+
+    const users = await prisma.$transaction(
+      processedData.map(data => prisma.user.create({ data }))
+    );
+
+    return users.map(user => this.toJSON(user));
+  }
+
   // Find user by ID
   static async findById(id, includePassword = false) {
     const user = await prisma.user.findUnique({
@@ -67,8 +149,7 @@ class User {
   static async findByIdAndUpdate(id, updateData) {
     // Hash password if being updated
     if (updateData.password) {
-      const salt = await bcrypt.genSalt(12);
-      updateData.password = await bcrypt.hash(updateData.password, salt);
+      updateData.password = await this.hashPassword(updateData.password);
     }
 
     // Process string fields
@@ -102,7 +183,7 @@ class User {
       where: filters,
       take: limit,
       skip: skip,
-      orderBy: sort ? Object.entries(sort).map(([key, value]) => ({ [key]: value === 1 ? 'asc' : 'desc' })) : undefined
+      orderBy: toOrderBy(sort)
     });
 
     return users.map(user => this.toJSON(user));
@@ -110,15 +191,63 @@ class User {
 
   // Compare password
   static async comparePassword(candidatePassword, hashedPassword) {
+    if (hashedPassword === this.UNUSABLE_PASSWORD) return false;
     return bcrypt.compare(candidatePassword, hashedPassword);
   }
 
-  // Update last login
+  // Update last login; a successful login also clears any failed attempts
   static async updateLastLogin(id) {
     await prisma.user.update({
       where: { id },
-      data: { lastLogin: new Date() }
+      data: { lastLogin: new Date(), failedLoginAttempts: 0, lockedUntil: null }
+    });
+  }
+
+  // Check whether a user's account is locked after too many failed logins
+  static isLockedOut(user) {
+    return Boolean(user.lockedUntil) && user.lockedUntil > new Date();
+  }
+
+  // Record a failed login. Once `lockoutThreshold` logins in a row have failed the account is
+  // locked, and each further failure doubles the lockout. Returns when the lock ends, or null.
+  static async recordFailedLogin(id) {
+    const user = await prisma.user.update({
+      where: { id },
+      data: { failedLoginAttempts: { increment: 1 } }
+    });
+
+    const extraFailures = user.failedLoginAttempts - rateLimitConfig.lockoutThreshold;
+    if (extraFailures < 0) return null;
+
+    const duration = Math.min(rateLimitConfig.lockoutBaseMs * 2 ** extraFailures, rateLimitConfig.lockoutMaxMs);
+    const lockedUntil = new Date(Date.now() + duration);
+    await prisma.user.update({
+      where: { id },
+      data: { lockedUntil }
+    });
+
+    return lockedUntil;
+  }
+
+  // Unlock an account and forget its failed logins
+  static async clearLockout(id) {
+    const user = await prisma.user.update({
+      where: { id },
+      data: { failedLoginAttempts: 0, lockedUntil: null }
+    });
+
+    return this.toJSON(user);
+  }
+
+  // URLs of each size of a user's avatar ({ small, medium, large }), or null without one
+  static avatarUrls(user) {
+    if (!user || !user.avatar) return null;
+
+    const urls = {};
+    Object.keys(uploadConfig.avatarSizes).forEach(size => {
+      urls[size] = `/api/users/${user.id}/avatar/${user.avatar}/${size}`;
     });
+    return urls;
   }
 
   // Transform user object for JSON response (remove password, add virtual fields)
@@ -128,7 +257,8 @@ class User {
     const { password, ...userWithoutPassword } = user;
     return {
       ...userWithoutPassword,
-      fullName: `${user.firstName} ${user.lastName}`
+      fullName: `${user.firstName} ${user.lastName}`,
+      avatarUrls: this.avatarUrls(user)
     };
   }
 
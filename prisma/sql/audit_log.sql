@@ -0,0 +1,13 @@
+-- Make audit_logs append-only.
+-- Run it with `npm run db:audit` after pushing the schema. It is safe to run repeatedly.
+
+CREATE OR REPLACE FUNCTION audit_logs_prevent_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_immutable_trigger ON audit_logs;
+CREATE TRIGGER audit_logs_immutable_trigger
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION audit_logs_prevent_change();
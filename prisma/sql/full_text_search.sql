@@ -0,0 +1,37 @@
+-- Full-text search support for posts and replies.
+-- The search_vector columns and their GIN indexes are created by `prisma db push`;
+-- this script adds the triggers that keep them up to date and backfills existing rows.
+-- Run it with `npm run db:search` after pushing the schema. It is safe to run repeatedly.
+
+-- Posts: title weighs most, then tags, then content
+CREATE OR REPLACE FUNCTION posts_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(NEW.content, '')), 'C');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS posts_search_vector_trigger ON posts;
+CREATE TRIGGER posts_search_vector_trigger
+  BEFORE INSERT OR UPDATE OF title, content, tags ON posts
+  FOR EACH ROW EXECUTE FUNCTION posts_search_vector_update();
+
+-- Replies: content only
+CREATE OR REPLACE FUNCTION replies_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector := setweight(to_tsvector('english', coalesce(NEW.content, '')), 'C');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS replies_search_vector_trigger ON replies;
+CREATE TRIGGER replies_search_vector_trigger
+  BEFORE INSERT OR UPDATE OF content ON replies
+  FOR EACH ROW EXECUTE FUNCTION replies_search_vector_update();
+
+-- Backfill rows written before the triggers existed
+UPDATE posts SET title = title WHERE search_vector IS NULL;
+UPDATE replies SET content = content WHERE search_vector IS NULL;
@@ -0,0 +1,12 @@
+-- Lowercase the tags of posts saved before tags were stored lowercased, so the ?tag= filter
+-- finds them. Tags that only differed in case are merged, keeping the order they were in.
+-- Run it with `npm run db:tags`. It is safe to run repeatedly.
+
+UPDATE posts
+SET tags = ARRAY(
+  SELECT lower(tag)
+  FROM unnest(tags) WITH ORDINALITY AS t(tag, position)
+  GROUP BY lower(tag)
+  ORDER BY min(position)
+)
+WHERE tags::text <> lower(tags::text);
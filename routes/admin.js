@@ -0,0 +1,351 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const ContentFilterRule = require('../models/ContentFilterRule');
+const { permissionMatrix } = require('../utils/permissions');
+const permissions = require('../config/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { toCsv } = require('../utils/csv');
+const { recordAudit } = require('../utils/audit');
+const { parseUserCsv, validateUserRows, importUserRows } = require('../utils/userImport');
+
+const router = express.Router();
+
+// Most rows a single CSV export may contain
+const MAX_EXPORT_ROWS = 10000;
+
+// Columns written to audit CSV exports
+const AUDIT_CSV_COLUMNS = [
+  { header: 'id', value: entry => entry.id },
+  { header: 'createdAt', value: entry => entry.createdAt },
+  { header: 'actorId', value: entry => entry.actorId },
+  { header: 'actorUsername', value: entry => entry.actor?.username },
+  { header: 'action', value: entry => entry.action },
+  { header: 'targetType', value: entry => entry.targetType },
+  { header: 'targetId', value: entry => entry.targetId },
+  { header: 'changes', value: entry => JSON.stringify(entry.changes) },
+  { header: 'ipAddress', value: entry => entry.ipAddress },
+  { header: 'userAgent', value: entry => entry.userAgent }
+];
+
+// Check a content filter rule's fields fit together; returns the problem, or null
+const filterRuleProblem = (rule) => {
+  if (rule.type === 'WORD' && !rule.pattern) return 'Word rules need a pattern';
+  if (rule.type !== 'WORD' && rule.action === 'MASK') return 'Only word rules can mask content';
+  return null;
+};
+
+// Validation shared by creating and updating (`optional`) content filter rules
+const filterRuleFields = (optional) => {
+  const required = (field) => (optional ? body(field).optional() : body(field));
+
+  return [
+    required('type').toUpperCase().isIn(ContentFilterRule.TYPES),
+    required('action').toUpperCase().isIn(ContentFilterRule.ACTIONS),
+    body('pattern').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 100 }),
+    body('threshold').optional({ values: 'null' }).isInt({ min: 0, max: 1000 }).toInt(),
+    body('windowMinutes').optional({ values: 'null' }).isInt({ min: 1, max: 10080 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+router.use(authenticateToken);
+
+// Get audit log entries, as JSON or a CSV export
+router.get('/audit', requirePermission('audit:view'), [
+  query('actor').optional().isString(),
+  query('action').optional().isString(),
+  query('targetType').optional().isString(),
+  query('targetId').optional().isString(),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('format').optional().isIn(['json', 'csv']),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { actor, action, targetType, targetId, from, to, format = 'json' } = req.query;
+    const query = {};
+
+    if (actor) query.actorId = actor;
+    // A trailing dot filters a whole group of actions, e.g. "post."
+    if (action) query.action = action.endsWith('.') ? { startsWith: action } : action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.gte = from;
+      if (to) query.createdAt.lte = to;
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query, {
+        limit: MAX_EXPORT_ROWS,
+        sort: { createdAt: -1 }
+      });
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(AUDIT_CSV_COLUMNS, entries));
+    }
+
+    const page = await paginate(AuditLog, query, parsePagination(req.query), { sortBy: 'createdAt' });
+
+    sendPage(req, res, 'entries', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create user accounts from a CSV upload, sent as a text/csv body or JSON { csv }.
+// ?dryRun=true only reports what would happen. In the default atomic mode nothing is
+// created unless every row is valid; ?mode=partial creates the valid rows and reports the rest.
+// New users get an invite email (?credentials=invite) or a temporary password (?credentials=password).
+router.post('/users/import', requirePermission('user:import'), express.text({ type: 'text/csv', limit: '1mb' }), [
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('mode').optional().isIn(['atomic', 'partial']),
+  query('credentials').optional().isIn(['invite', 'password'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ error: 'CSV data is required' });
+  }
+
+  try {
+    const { dryRun = false, mode = 'atomic', credentials = 'invite' } = req.query;
+
+    const { rows, error } = parseUserCsv(csv);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await validateUserRows(rows);
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const invalidReport = rows
+      .filter(row => row.errors.length > 0)
+      .map(({ row, data, errors }) => ({ row, username: data.username, email: data.email, status: 'invalid', errors }));
+
+    const summary = { total: rows.length, valid: validRows.length, invalid: invalidReport.length };
+
+    if (dryRun || (mode === 'atomic' && invalidReport.length > 0)) {
+      const report = rows.map(({ row, data, errors }) => errors.length > 0
+        ? invalidReport.find(entry => entry.row === row)
+        : { row, username: data.username, email: data.email, status: 'valid' });
+
+      if (dryRun) {
+        return res.json({ dryRun: true, mode, summary, rows: report });
+      }
+      return res.status(400).json({ error: 'No users were imported because some rows are invalid', mode, summary, rows: report });
+    }
+
+    const result = await importUserRows(validRows, { credentials, atomic: mode === 'atomic' });
+
+    for (const user of result.created) {
+      await recordAudit(req, {
+        action: 'user.import',
+        targetType: 'user',
+        targetId: user.id,
+        after: { username: user.username, email: user.email, role: user.role }
+      });
+    }
+
+    const report = [...result.rows, ...invalidReport].sort((a, b) => a.row - b.row);
+    summary.created = result.created.length;
+    summary.failed = rows.length - result.created.length;
+
+    if (mode === 'atomic' && result.created.length === 0) {
+      return res.status(500).json({ error: 'No users were imported', mode, summary, rows: report });
+    }
+
+    res.status(201).json({
+      message: 'Users imported successfully',
+      mode,
+      credentials,
+      summary,
+      rows: report
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get content filter rules (?type=, ?isActive=)
+router.get('/filter-rules', requirePermission('filter:manage'), [
+  query('type').optional().toUpperCase().isIn(ContentFilterRule.TYPES),
+  query('isActive').optional().isBoolean().toBoolean(),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive;
+
+    const page = await paginate(ContentFilterRule, query, parsePagination(req.query), { sortBy: 'createdAt' });
+
+    sendPage(req, res, 'rules', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a content filter rule
+router.post('/filter-rules', requirePermission('filter:manage'), filterRuleFields(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { type, action, pattern, threshold, windowMinutes, isActive } = req.body;
+    const ruleData = {
+      type,
+      action,
+      pattern: type === 'WORD' ? pattern : null,
+      threshold: threshold ?? null,
+      windowMinutes: windowMinutes ?? null,
+      isActive
+    };
+
+    const problem = filterRuleProblem(ruleData);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const rule = await ContentFilterRule.create({ ...ruleData, createdById: req.user.id });
+
+    await recordAudit(req, {
+      action: 'filter.create',
+      targetType: 'filter_rule',
+      targetId: rule.id,
+      before: {},
+      after: ruleData
+    });
+
+    res.status(201).json({
+      message: 'Filter rule created successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a content filter rule
+router.put('/filter-rules/:id', requirePermission('filter:manage'), filterRuleFields(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existingRule = await ContentFilterRule.findById(req.params.id);
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Filter rule not found' });
+    }
+
+    const updateData = {};
+    ['type', 'action', 'pattern', 'threshold', 'windowMinutes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    if ((updateData.type || existingRule.type) !== 'WORD') updateData.pattern = null;
+
+    const problem = filterRuleProblem({ ...existingRule, ...updateData });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const rule = await ContentFilterRule.findByIdAndUpdate(existingRule.id, updateData);
+
+    await recordAudit(req, {
+      action: 'filter.update',
+      targetType: 'filter_rule',
+      targetId: rule.id,
+      before: existingRule,
+      after: updateData
+    });
+
+    res.json({
+      message: 'Filter rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a content filter rule
+router.delete('/filter-rules/:id', requirePermission('filter:manage'), async (req, res) => {
+  try {
+    const existingRule = await ContentFilterRule.findById(req.params.id);
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Filter rule not found' });
+    }
+
+    await ContentFilterRule.findByIdAndDelete(existingRule.id);
+
+    await recordAudit(req, {
+      action: 'filter.delete',
+      targetType: 'filter_rule',
+      targetId: existingRule.id,
+      before: existingRule,
+      after: { type: null, action: null, pattern: null, isActive: false }
+    });
+
+    res.json({ message: 'Filter rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock an account locked after too many failed logins
+router.delete('/users/:id/lockout', requirePermission('user:unlock'), async (req, res) => {
+  try {
+    const existingUser = await User.findById(req.params.id);
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.clearLockout(existingUser.id);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user.id,
+      before: existingUser,
+      after: { failedLoginAttempts: 0, lockedUntil: null }
+    });
+
+    res.json({
+      message: 'Lockout cleared successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the role → permission matrix
+router.get('/permissions', requirePermission('permission:view'), (req, res) => {
+  res.json({
+    roles: permissions.roles,
+    categoryModerator: permissions.categoryModerator,
+    matrix: permissionMatrix()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const Attachment = require('../models/Attachment');
+const Course = require('../models/Course');
+const Post = require('../models/Post');
+const { can } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { getStorage } = require('../utils/storage');
+const { deleteAttachment } = require('../utils/attachments');
+const { authenticateToken, optionalAuth, tokenFromQuery } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load an attachment of an active post/reply the current user can see, or send a 404.
+// Attachments follow the visibility of their post, so course files stay inside the course
+// and files on held content are only shown to its author and moderators.
+const findVisibleAttachment = async (req, res) => {
+  const attachment = await Attachment.findById(req.params.id);
+  const isModerator = attachment && await can(req.user, 'moderation:view', attachment.post);
+  const visible = attachment
+    && attachment.post.isActive
+    && Post.isPublishedVisible(attachment.post, req.user)
+    && Post.isAudienceVisible(attachment.post, req.user)
+    && (!attachment.reply || attachment.reply.isActive)
+    && Post.isModerationVisible(attachment.post, req.user, isModerator)
+    && (!attachment.reply || Post.isModerationVisible(attachment.reply, req.user, isModerator))
+    && await Course.canAccessCategory(req.user, attachment.post.categoryId);
+
+  if (!visible) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+
+  return attachment;
+};
+
+// Stream a stored file. Images and PDFs open in the browser; ?download=true saves them instead.
+const sendStoredFile = async (req, res, attachment, { thumbnail = false } = {}) => {
+  const key = thumbnail ? attachment.thumbnailKey : attachment.storageKey;
+  const stream = key ? await getStorage().getStream(key) : null;
+  if (!stream) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': thumbnail ? 'image/jpeg' : attachment.mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    'X-Content-Type-Options': 'nosniff',
+    // Who may see a file can change (e.g. leaving a course), so shared caches must not keep it
+    'Cache-Control': 'private, max-age=3600'
+  });
+  if (!thumbnail) res.set('Content-Length', String(attachment.size));
+
+  stream.on('error', (error) => {
+    console.error(`Storage error reading ${key}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Download an attachment. Accepts ?access_token= so files can be used in <img> tags and links.
+router.get('/:id', tokenFromQuery, optionalAuth, async (req, res) => {
+  try {
+    const attachment = await findVisibleAttachment(req, res);
+    if (!attachment) return;
+
+    await sendStoredFile(req, res, attachment);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get an image attachment's thumbnail
+router.get('/:id/thumbnail', tokenFromQuery, optionalAuth, async (req, res) => {
+  try {
+    const attachment = await findVisibleAttachment(req, res);
+    if (!attachment) return;
+
+    await sendStoredFile(req, res, attachment, { thumbnail: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete an attachment (its uploader, or whoever may edit the post/reply it is on)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const attachment = await findVisibleAttachment(req, res);
+    if (!attachment) return;
+
+    const { post, reply } = attachment;
+    const allowed = attachment.uploaderId === req.user.id || (reply
+      ? await can(req.user, 'reply:edit', { ...reply, categoryId: post.categoryId })
+      : await can(req.user, 'post:edit', post));
+    if (!allowed) {
+      return res.status(403).json({ error: 'Not authorized to delete this attachment' });
+    }
+
+    await deleteAttachment(attachment);
+
+    if (attachment.uploaderId !== req.user.id) {
+      await recordAudit(req, {
+        action: 'attachment.delete',
+        targetType: 'attachment',
+        targetId: attachment.id,
+        before: { filename: attachment.filename, postId: post.id, replyId: attachment.replyId },
+        after: { filename: null, postId: null, replyId: null }
+      });
+    }
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,50 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { signAccessToken } = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
 
 const router = express.Router();
 
+// Start a new session and issue an access/refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.create(user.id, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    token: signAccessToken(user.id, session.id),
+    refreshToken
+  };
+};
+
+// Create a verification token and email it; failures are logged rather than surfaced
+const sendVerification = async (user) => {
+  try {
+    const token = await AuthToken.create(user.id, 'EMAIL_VERIFICATION');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// Create a password reset token and email it; failures are logged rather than surfaced
+const sendPasswordReset = async (user) => {
+  try {
+    const token = await AuthToken.create(user.id, 'PASSWORD_RESET');
+    await sendPasswordResetEmail(user, token);
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
+
 // Register a new user
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   body('username').isLength({ min: 3 }).trim().escape(),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 })
@@ -46,17 +83,21 @@ router.post('/register', [
       subject
     });
 
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+    await sendVerification(user);
+
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
         fullName: user.fullName,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -66,7 +107,7 @@ router.post('/register', [
 });
 
 // User login
-router.post('/login', [
+router.post('/login', rateLimit('loginIp'), rateLimit('login'), [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
 ], async (req, res) => {
@@ -78,25 +119,40 @@ router.post('/login', [
   const { email, password } = req.body;
 
   try {
-    const user = await User.findOne({ email });
-    if (!user) {
+    const user = await User.findByEmail(email, true);
+    if (!user || !user.isActive) {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    const isMatch = await user.comparePassword(password);
+    // Locked accounts don't get their password checked at all, so guessing gets nowhere
+    if (User.isLockedOut(user)) {
+      return sendTooManyRequests(res, user.lockedUntil, 'Too many failed logins, the account is temporarily locked');
+    }
+
+    const isMatch = await User.comparePassword(password, user.password);
     if (!isMatch) {
+      const lockedUntil = await User.recordFailedLogin(user.id);
+      if (lockedUntil) {
+        return sendTooManyRequests(res, lockedUntil, 'Too many failed logins, the account is temporarily locked');
+      }
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+    await User.updateLastLogin(user.id);
+    const { token, refreshToken } = await issueTokens(user, req);
+    const userData = User.toJSON(user);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
-        username: user.username,
-        email: user.email,
-        fullName: user.fullName
+        id: userData.id,
+        username: userData.username,
+        email: userData.email,
+        fullName: userData.fullName,
+        role: userData.role,
+        emailVerified: userData.emailVerified
       }
     });
   } catch (error) {
@@ -104,5 +160,185 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await Session.rotate(req.body.refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await Session.revokeFamily(result.session.familyId);
+      return res.status(401).json({ error: 'Invalid token or user not found' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: signAccessToken(user.id, result.session.id),
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out the current session, or every session with { all: true }
+router.post('/logout', authenticateToken, [
+  body('all').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.body.all) {
+      await Session.revokeAllForUser(req.user.id);
+    } else {
+      await Session.revokeFamily(req.authSession.familyId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', rateLimit('accountEmailIp'), rateLimit('accountEmail'), [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    // Only send if the account exists, but always answer the same way and without waiting
+    // for the email, so accounts can't be probed by the response or how long it takes
+    if (user && user.isActive) {
+      sendPasswordReset(user);
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', rateLimit('accountEmailIp'), rateLimit('accountEmail'), [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const record = await AuthToken.consume(req.body.token, 'PASSWORD_RESET');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    // The reset link proves control of the mailbox, so the email counts as verified too
+    await User.findByIdAndUpdate(record.userId, {
+      password: req.body.password,
+      emailVerified: true
+    });
+    await User.clearLockout(record.userId);
+
+    // Sign out every device in case the old password was compromised
+    await Session.revokeAllForUser(record.userId);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Accept an account invite from a CSV import by choosing a password
+router.post('/accept-invite', rateLimit('accountEmailIp'), rateLimit('accountEmail'), [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const record = await AuthToken.consume(req.body.token, 'ACCOUNT_INVITE');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    // The invite was sent to the user's email, so opening it verifies the address
+    await User.findByIdAndUpdate(record.userId, {
+      password: req.body.password,
+      emailVerified: true
+    });
+
+    res.json({ message: 'Invite accepted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm an email address
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const record = await AuthToken.consume(req.body.token, 'EMAIL_VERIFICATION');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    await User.findByIdAndUpdate(record.userId, { emailVerified: true });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a fresh verification email to the current user
+router.post('/resend-verification', authenticateToken, rateLimit('accountEmailIp'), rateLimit('accountEmail'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
 
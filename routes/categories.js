@@ -1,32 +1,72 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Category = require('../models/Category');
-const { authenticateToken, requireTeacherOrAdmin } = require('../middleware/auth');
+const Subscription = require('../models/Subscription');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const CategoryModerator = require('../models/CategoryModerator');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
+const forumConfig = require('../config/forum');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
-// Get all categories
-router.get('/', async (req, res) => {
+// Check that a category may be attached to a course: it must exist and the user must teach it.
+// Sends the error response and returns false otherwise.
+const checkCourse = async (req, res, courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course || !course.isActive) {
+    res.status(400).json({ error: 'Invalid course' });
+    return false;
+  }
+
+  if (!(await Course.canManage(req.user, course.id))) {
+    res.status(403).json({ error: 'Only the course teachers can add categories to it' });
+    return false;
+  }
+
+  return true;
+};
+
+// Get all categories the caller can see (?course= for one course's categories)
+router.get('/', optionalAuth, [
+  query('course').optional().isString(),
+  query('sortBy').optional().isIn(['createdAt', 'name']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const categories = await Category.find({ isActive: true })
-      .populate('createdBy', 'username fullName')
-      .populate('postCount')
-      .sort({ createdAt: -1 });
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+    // Categories used to be returned all at once, so default to the largest page
+    const pagination = parsePagination(req.query, { limit: forumConfig.maxPageSize });
+    const query = { isActive: true, ...Course.categoryFilter(req.user) };
+    if (req.query.course) query.courseId = req.query.course;
 
-    res.json({ categories });
+    const page = await paginate(Category, query, pagination, {
+      sortBy,
+      sortOrder,
+      findOptions: { includePostCount: true }
+    });
+
+    sendPage(req, res, 'categories', page);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Get category by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id)
-      .populate('createdBy', 'username fullName')
-      .populate('postCount');
+    const category = await Category.findById(req.params.id, true);
 
-    if (!category) {
+    if (!category || !category.isActive || !(await Course.canAccessCategory(req.user, category.id))) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
@@ -36,12 +76,13 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create a new category (teacher/admin only)
-router.post('/', authenticateToken, requireTeacherOrAdmin, [
+// Create a new category
+router.post('/', authenticateToken, requirePermission('category:create'), [
   body('name').trim().isLength({ min: 1, max: 50 }).escape(),
   body('description').trim().isLength({ min: 1, max: 200 }).escape(),
   body('color').optional().matches(/^#[0-9A-F]{6}$/i),
-  body('icon').optional().trim()
+  body('icon').optional().trim(),
+  body('courseId').optional().isString()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -49,25 +90,25 @@ router.post('/', authenticateToken, requireTeacherOrAdmin, [
   }
 
   try {
-    const { name, description, color, icon } = req.body;
+    const { name, description, color, icon, courseId } = req.body;
 
     // Check if category already exists
-    const existingCategory = await Category.findOne({ name });
+    const existingCategory = await Category.findByName(name);
     if (existingCategory) {
       return res.status(400).json({ error: 'Category already exists' });
     }
 
-    const category = new Category({
+    if (courseId && !(await checkCourse(req, res, courseId))) return;
+
+    const category = await Category.create({
       name,
       description,
       color,
       icon,
-      createdBy: req.user._id
+      courseId,
+      createdById: req.user.id
     });
 
-    await category.save();
-    await category.populate('createdBy', 'username fullName');
-
     res.status(201).json({
       message: 'Category created successfully',
       category
@@ -77,12 +118,13 @@ router.post('/', authenticateToken, requireTeacherOrAdmin, [
   }
 });
 
-// Update category (teacher/admin only)
-router.put('/:id', authenticateToken, requireTeacherOrAdmin, [
+// Update category
+router.put('/:id', authenticateToken, requirePermission('category:update'), [
   body('name').optional().trim().isLength({ min: 1, max: 50 }).escape(),
   body('description').optional().trim().isLength({ min: 1, max: 200 }).escape(),
   body('color').optional().matches(/^#[0-9A-F]{6}$/i),
-  body('icon').optional().trim()
+  body('icon').optional().trim(),
+  body('courseId').optional().custom(value => value === null || typeof value === 'string')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -90,26 +132,34 @@ router.put('/:id', authenticateToken, requireTeacherOrAdmin, [
   }
 
   try {
-    const { name, description, color, icon } = req.body;
+    const { name, description, color, icon, courseId } = req.body;
 
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
+    // Course categories can only be changed by the course's teachers
+    if (category.courseId && !(await Course.canManage(req.user, category.courseId))) {
+      return res.status(403).json({ error: 'Only the course teachers can change this category' });
+    }
+
     // Check if new name already exists (if name is being changed)
     if (name && name !== category.name) {
-      const existingCategory = await Category.findOne({ name });
+      const existingCategory = await Category.findByName(name);
       if (existingCategory) {
         return res.status(400).json({ error: 'Category name already exists' });
       }
     }
 
+    // Moving a category into a course needs to be allowed by that course too;
+    // pass courseId: null to make a course category school-wide again
+    if (courseId && courseId !== category.courseId && !(await checkCourse(req, res, courseId))) return;
+
     const updatedCategory = await Category.findByIdAndUpdate(
       req.params.id,
-      { name, description, color, icon },
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'username fullName');
+      { name, description, color, icon, courseId }
+    );
 
     res.json({
       message: 'Category updated successfully',
@@ -120,21 +170,164 @@ router.put('/:id', authenticateToken, requireTeacherOrAdmin, [
   }
 });
 
-// Delete category (teacher/admin only)
-router.delete('/:id', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+// Follow a category
+router.post('/:id/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category || !category.isActive || !(await Course.canAccessCategory(req.user, category.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await Subscription.subscribe(req.user.id, 'CATEGORY', category.id);
+
+    res.json({
+      message: 'Subscribed to category successfully',
+      isSubscribed: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unfollow a category
+router.delete('/:id/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const found = await Subscription.unsubscribe(req.user.id, 'CATEGORY', req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      message: 'Unsubscribed from category successfully',
+      isSubscribed: false
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete category
+router.delete('/:id', authenticateToken, requirePermission('category:delete'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
+    if (category.courseId && !(await Course.canManage(req.user, category.courseId))) {
+      return res.status(403).json({ error: 'Only the course teachers can delete this category' });
+    }
+
     // Soft delete by setting isActive to false
     await Category.findByIdAndUpdate(req.params.id, { isActive: false });
 
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category.id,
+      before: category,
+      after: { isActive: false }
+    });
+
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Load a category whose moderators are being changed. Course categories can only be
+// changed by the course's teachers. Sends the error response and returns null otherwise.
+const findModeratedCategory = async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category || !category.isActive) {
+    res.status(404).json({ error: 'Category not found' });
+    return null;
+  }
+
+  if (category.courseId && !(await Course.canManage(req.user, category.courseId))) {
+    res.status(403).json({ error: 'Only the course teachers can change moderators of this category' });
+    return null;
+  }
+
+  return category;
+};
+
+// List a category's moderators
+router.get('/:id/moderators', optionalAuth, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category || !category.isActive || !(await Course.canAccessCategory(req.user, category.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const moderators = await CategoryModerator.find({ categoryId: category.id }, { sort: { createdAt: 1 } });
+
+    res.json({ moderators });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Make a user a moderator of a category
+router.post('/:id/moderators', authenticateToken, requirePermission('category:moderators'), [
+  body('username').trim().isLength({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const category = await findModeratedCategory(req, res);
+    if (!category) return;
+
+    const user = await User.findByUsername(req.body.username);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const moderator = await CategoryModerator.assign(category.id, user.id, req.user.id);
+
+    await recordAudit(req, {
+      action: 'category.moderator.add',
+      targetType: 'category',
+      targetId: category.id,
+      before: {},
+      after: { moderatorId: user.id }
+    });
+
+    res.status(201).json({
+      message: 'Moderator added successfully',
+      moderator
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a category moderator
+router.delete('/:id/moderators/:userId', authenticateToken, requirePermission('category:moderators'), async (req, res) => {
+  try {
+    const category = await findModeratedCategory(req, res);
+    if (!category) return;
+
+    const found = await CategoryModerator.remove(category.id, req.params.userId);
+    if (!found) {
+      return res.status(404).json({ error: 'Moderator not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'category.moderator.remove',
+      targetType: 'category',
+      targetId: category.id,
+      before: { moderatorId: req.params.userId },
+      after: { moderatorId: null }
+    });
+
+    res.json({ message: 'Moderator removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Load an active course the current user belongs to (any course with `course:manage:any`),
+// or send a 404. With `manage`, only the course's teachers and course managers get through.
+const findCourse = async (req, res, { manage = false } = {}) => {
+  const course = await Course.findById(req.params.id, true);
+  const enrollment = course ? await Enrollment.findOne(course.id, req.user.id) : null;
+  const canManageAny = hasPermission(req.user, 'course:manage:any');
+
+  if (!course || !course.isActive || (!enrollment && !canManageAny)) {
+    res.status(404).json({ error: 'Course not found' });
+    return {};
+  }
+
+  const canManage = canManageAny || enrollment.role === 'TEACHER';
+  if (manage && !canManage) {
+    res.status(403).json({ error: 'Only the course teachers can do this' });
+    return {};
+  }
+
+  return { course, canManage };
+};
+
+// Get the current user's courses (?all=true lists every course, with `course:view:any`)
+router.get('/', [
+  query('all').optional().isBoolean().toBoolean(),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const query = { isActive: true };
+    const canViewAll = hasPermission(req.user, 'course:view:any');
+    if (!(req.query.all && canViewAll)) {
+      query.enrollments = { some: { userId: req.user.id } };
+    }
+
+    const page = await paginate(Course, query, parsePagination(req.query), { sortBy: 'createdAt' });
+
+    // Join codes are only listed for course managers; teachers see them on the course itself
+    if (!hasPermission(req.user, 'course:manage:any')) {
+      page.items = page.items.map(({ joinCode, ...course }) => course);
+    }
+
+    sendPage(req, res, 'courses', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a course
+router.post('/', requirePermission('course:create'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).escape(),
+  body('description').optional().trim().isLength({ max: 500 }).escape()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const course = await Course.create({
+      name: req.body.name,
+      description: req.body.description,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Join a course with the code its teacher shared
+router.post('/join', [
+  body('joinCode').trim().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const course = await Course.findByJoinCode(req.body.joinCode);
+    if (!course) {
+      return res.status(404).json({ error: 'Invalid join code' });
+    }
+
+    const enrolled = await Enrollment.enroll(course.id, [req.user.id]);
+    if (enrolled.length === 0) {
+      return res.status(400).json({ error: 'You are already enrolled in this course' });
+    }
+
+    const { joinCode, ...courseData } = course;
+    res.json({
+      message: 'Joined course successfully',
+      course: courseData
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get course by ID (members only); the join code is only shown to its teachers
+router.get('/:id', async (req, res) => {
+  try {
+    const { course, canManage } = await findCourse(req, res);
+    if (!course) return;
+
+    const { joinCode, ...courseData } = course;
+    res.json({ course: canManage ? course : courseData });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update course (course teachers/admin only)
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).escape(),
+  body('description').optional().trim().isLength({ max: 500 }).escape()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { course } = await findCourse(req, res, { manage: true });
+    if (!course) return;
+
+    const { name, description } = req.body;
+    const updatedCourse = await Course.findByIdAndUpdate(course.id, { name, description });
+
+    res.json({
+      message: 'Course updated successfully',
+      course: updatedCourse
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the course's join code (course teachers/admin only)
+router.post('/:id/join-code', async (req, res) => {
+  try {
+    const { course } = await findCourse(req, res, { manage: true });
+    if (!course) return;
+
+    const joinCode = await Course.regenerateJoinCode(course.id);
+
+    res.json({
+      message: 'Join code regenerated successfully',
+      joinCode
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List course members (members only)
+router.get('/:id/members', [
+  query('role').optional().toUpperCase().isIn(Enrollment.ROLES),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { course } = await findCourse(req, res);
+    if (!course) return;
+
+    const query = { courseId: course.id };
+    if (req.query.role) query.role = req.query.role;
+
+    const page = await paginate(Enrollment, query, parsePagination(req.query), {
+      sortBy: 'createdAt',
+      sortOrder: 'asc'
+    });
+
+    sendPage(req, res, 'members', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Enroll users by username (course teachers/admin only).
+// Only users with `course:teach` can be added with the TEACHER role.
+router.post('/:id/members', [
+  body('usernames').isArray({ min: 1, max: 200 }),
+  body('usernames.*').isString().trim().notEmpty(),
+  body('role').optional().toUpperCase().isIn(Enrollment.ROLES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { course } = await findCourse(req, res, { manage: true });
+    if (!course) return;
+
+    const { role = 'STUDENT' } = req.body;
+    const usernames = [...new Set(req.body.usernames)];
+
+    const users = await User.find({ username: { in: usernames }, isActive: true });
+    const eligible = users.filter(user => role === 'STUDENT' || hasPermission(user, 'course:teach'));
+    const enrolledIds = await Enrollment.enroll(course.id, eligible.map(user => user.id), role);
+
+    const usernameOf = (user) => user.username;
+    res.json({
+      message: 'Members added successfully',
+      enrolled: eligible.filter(user => enrolledIds.includes(user.id)).map(usernameOf),
+      alreadyEnrolled: eligible.filter(user => !enrolledIds.includes(user.id)).map(usernameOf),
+      notEligible: users.filter(user => !eligible.includes(user)).map(usernameOf),
+      notFound: usernames.filter(username => !users.some(user => user.username === username))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a member (course teachers/admin), or leave a course (any member removing themselves)
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+    const { course } = await findCourse(req, res, { manage: !isSelf });
+    if (!course) return;
+
+    const enrollment = await Enrollment.findOne(course.id, req.params.userId);
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // A course always keeps at least one teacher to manage it
+    if (enrollment.role === 'TEACHER' && await Enrollment.countByRole(course.id, 'TEACHER') === 1) {
+      return res.status(400).json({ error: 'Cannot remove the last teacher of a course' });
+    }
+
+    await Enrollment.unenroll(course.id, req.params.userId);
+
+    res.json({ message: isSelf ? 'Left course successfully' : 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
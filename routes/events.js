@@ -0,0 +1,84 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, tokenFromQuery } = require('../middleware/auth');
+const Course = require('../models/Course');
+const Post = require('../models/Post');
+const { subscribe } = require('../utils/realtime');
+
+const router = express.Router();
+
+// How often to send a comment line so proxies don't close idle streams
+const HEARTBEAT_INTERVAL = 25000;
+
+// Split a comma separated query value into a list of ids
+const toList = (value) => {
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [];
+};
+
+// Open a Server-Sent Events stream.
+// ?posts=id1,id2 and ?categories=id1 subscribe to those posts/categories (ones the user
+// can't see are left out); ?notifications=true adds the current user's notification stream.
+router.get('/', tokenFromQuery, authenticateToken, [
+  query('posts').optional().isString(),
+  query('categories').optional().isString(),
+  query('notifications').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let postIds;
+  let categoryIds;
+  try {
+    [postIds, categoryIds] = await Promise.all([
+      Post.filterVisibleIds(req.user, toList(req.query.posts)),
+      Course.filterVisibleCategoryIds(req.user, toList(req.query.categories))
+    ]);
+  } catch (error) {
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  const channels = [
+    ...postIds.map(id => `post:${id}`),
+    ...categoryIds.map(id => `category:${id}`),
+    ...(req.query.notifications ? [`user:${req.user.id}`] : [])
+  ];
+
+  if (channels.length === 0) {
+    return res.status(400).json({ error: 'Subscribe to at least one post, category or notifications' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastEventId = null;
+  const unsubscribe = subscribe(channels, (event) => {
+    if (event.id === lastEventId) return;
+    lastEventId = event.id;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ channels })}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  // End the stream when the access token expires so the client reconnects with a fresh one
+  const expiry = setTimeout(() => {
+    res.write('event: token-expired\ndata: {}\n\n');
+    res.end();
+  }, Math.max(req.tokenExpiresAt - Date.now(), 0));
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
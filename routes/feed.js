@@ -0,0 +1,59 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Subscription = require('../models/Subscription');
+const Course = require('../models/Course');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Get the current user's feed: followed posts, posts in followed categories and posts by
+// followed users, most recently active first
+router.get('/', authenticateToken, [
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { postIds, categoryIds, userIds } = await Subscription.getFollowed(req.user.id);
+
+    // Following something doesn't outlive leaving the course it belongs to
+    const query = {
+      isActive: true,
+      moderationStatus: 'APPROVED',
+      status: 'PUBLISHED',
+      category: Course.categoryFilter(req.user),
+      AND: [Post.audienceFilter(req.user)],
+      OR: [
+        { id: { in: postIds } },
+        { categoryId: { in: categoryIds } },
+        { authorId: { in: userIds } }
+      ]
+    };
+
+    const page = await paginate(Post, query, parsePagination(req.query), {
+      sortBy: 'lastActivity',
+      findOptions: { viewer: req.user }
+    });
+
+    // Say why each post is in the feed
+    page.items = page.items.map(post => ({
+      ...post,
+      followedVia: [
+        ...(postIds.includes(post.id) ? ['POST'] : []),
+        ...(categoryIds.includes(post.categoryId) ? ['CATEGORY'] : []),
+        ...(userIds.includes(post.authorId) ? ['USER'] : [])
+      ]
+    }));
+
+    sendPage(req, res, 'posts', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const Notification = require('../models/Notification');
+const CategoryModerator = require('../models/CategoryModerator');
+const { authenticateToken } = require('../middleware/auth');
+const { hasPermission, can } = require('../utils/permissions');
+const { parsePagination, paginate, offsetPage, sendPage } = require('../utils/pagination');
+const { sendModerationWarningEmail } = require('../utils/emails');
+const { recordAudit } = require('../utils/audit');
+const { publishPostEvent } = require('../utils/realtime');
+
+const router = express.Router();
+
+// URL segment for each reportable content type
+const TARGET_TYPES = {
+  posts: 'POST',
+  replies: 'REPLY'
+};
+
+// Work out what the user may moderate: everything with `moderation:view`, otherwise
+// only the categories they are a moderator of
+const loadModerationScope = async (req, res, next) => {
+  try {
+    if (hasPermission(req.user, 'moderation:view')) {
+      req.moderationCategoryIds = null;
+      return next();
+    }
+
+    const categoryIds = await CategoryModerator.findCategoryIds(req.user.id);
+    if (categoryIds.length === 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        required: 'moderation:view'
+      });
+    }
+
+    req.moderationCategoryIds = categoryIds;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+router.use(authenticateToken, loadModerationScope);
+
+// Get open reports grouped by reported content
+router.get('/queue', [
+  query('targetType').optional().toUpperCase().isIn(Object.values(TARGET_TYPES))
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { limit, page, skip } = parsePagination({ page: req.query.page, limit: req.query.limit });
+    const { queue, total } = await Report.getQueue({
+      targetType: req.query.targetType,
+      categoryIds: req.moderationCategoryIds,
+      limit,
+      skip
+    });
+
+    sendPage(req, res, 'queue', offsetPage(queue, total, { limit, page }));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get posts (default) or replies held by the content filter, oldest first
+router.get('/held', [
+  query('targetType').optional().toUpperCase().isIn(Object.values(TARGET_TYPES))
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { limit, page, skip } = parsePagination({ page: req.query.page, limit: req.query.limit });
+    const { items, total } = await Post.findHeld(req.query.targetType === 'REPLY' ? 'reply' : 'post', {
+      categoryIds: req.moderationCategoryIds,
+      limit,
+      skip
+    });
+
+    sendPage(req, res, 'held', offsetPage(items, total, { limit, page }));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get recorded moderation actions (category moderators only see their own)
+router.get('/actions', [
+  query('action').optional().toUpperCase().isIn(Report.ACTIONS),
+  query('moderator').optional().isString(),
+  query('author').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { action, moderator, author } = req.query;
+    const query = {};
+
+    if (action) query.action = action;
+    if (moderator) query.moderatorId = moderator;
+    if (author) query.authorId = author;
+    if (req.moderationCategoryIds) query.moderatorId = req.user.id;
+
+    const page = await paginate(ModerationAction, query, parsePagination(req.query), { sortBy: 'createdAt' });
+
+    sendPage(req, res, 'actions', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resolve the open reports on a post or reply
+router.post('/:targetType/:id/resolve', [
+  param('targetType').isIn(Object.keys(TARGET_TYPES)),
+  body('action').toUpperCase().isIn(Report.ACTIONS),
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const targetType = TARGET_TYPES[req.params.targetType];
+    const { action, note } = req.body;
+
+    const content = targetType === 'POST'
+      ? await Post.findById(req.params.id)
+      : await Post.findReplyById(req.params.id);
+    if (!content) {
+      return res.status(404).json({ error: `${targetType === 'POST' ? 'Post' : 'Reply'} not found` });
+    }
+
+    const categoryId = targetType === 'POST' ? content.categoryId : (await Post.findById(content.postId)).categoryId;
+    if (!(await can(req.user, 'moderation:resolve', { categoryId }))) {
+      return res.status(403).json({ error: 'Not authorized to moderate this content' });
+    }
+
+    const author = await User.findById(content.authorId);
+
+    if (action === 'HIDE_CONTENT') {
+      if (targetType === 'POST') {
+        await Post.findByIdAndUpdate(content.id, { isActive: false });
+      } else {
+        await Post.deleteReply(content.id);
+      }
+    }
+
+    if (action === 'SUSPEND_AUTHOR') {
+      // Nobody can suspend an admin, and suspending a teacher takes `user:suspend:teacher`
+      const permission = author.role === 'TEACHER' ? 'user:suspend:teacher' : 'user:suspend';
+      if (author.role === 'ADMIN' || !hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: 'Not authorized to suspend this user' });
+      }
+
+      await User.findByIdAndUpdate(author.id, { isActive: false });
+      await Session.revokeAllForUser(author.id);
+    }
+
+    if (action === 'WARN_AUTHOR') {
+      try {
+        await sendModerationWarningEmail(author, note);
+      } catch (error) {
+        console.error('Moderation warning email error:', error);
+      }
+    }
+
+    const result = await Report.resolveTarget(targetType, content.id, {
+      moderatorId: req.user.id,
+      authorId: author.id,
+      action,
+      note
+    });
+
+    // Dismissing reports doesn't concern the author
+    if (action !== 'DISMISS') {
+      await Notification.notify({
+        userId: author.id,
+        actorId: req.user.id,
+        type: 'MODERATION',
+        postId: targetType === 'POST' ? content.id : content.postId,
+        replyId: targetType === 'REPLY' ? content.id : undefined,
+        data: { action, note }
+      });
+    }
+
+    await recordAudit(req, {
+      action: `moderation.${action.toLowerCase()}`,
+      targetType: targetType.toLowerCase(),
+      targetId: content.id,
+      before: { isActive: content.isActive, authorActive: author.isActive },
+      after: {
+        isActive: action === 'HIDE_CONTENT' ? false : content.isActive,
+        authorActive: action === 'SUSPEND_AUTHOR' ? false : author.isActive
+      }
+    });
+
+    res.json({
+      message: 'Reports resolved successfully',
+      action: result.action,
+      resolvedCount: result.resolvedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve or reject a post or reply held by the content filter. Approved content is published;
+// rejected content stays visible to its author, who can edit it to send it back for review.
+router.post('/:targetType/:id/review', [
+  param('targetType').isIn(Object.keys(TARGET_TYPES)),
+  body('decision').toLowerCase().isIn(['approve', 'reject']),
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const targetType = TARGET_TYPES[req.params.targetType];
+    const { decision, note } = req.body;
+
+    const content = targetType === 'POST'
+      ? await Post.findById(req.params.id)
+      : await Post.findReplyById(req.params.id);
+    if (!content || !content.isActive) {
+      return res.status(404).json({ error: `${targetType === 'POST' ? 'Post' : 'Reply'} not found` });
+    }
+
+    const post = targetType === 'POST' ? content : await Post.findById(content.postId);
+    if (!(await can(req.user, 'moderation:resolve', { categoryId: post.categoryId }))) {
+      return res.status(403).json({ error: 'Not authorized to moderate this content' });
+    }
+
+    if (content.moderationStatus !== 'PENDING') {
+      return res.status(400).json({ error: 'This content is not waiting for review' });
+    }
+
+    const moderationStatus = decision === 'approve' ? 'APPROVED' : 'REJECTED';
+    const updated = await Post.setModerationStatus(targetType === 'POST' ? 'post' : 'reply', content.id, moderationStatus);
+
+    if (moderationStatus === 'APPROVED') {
+      if (targetType === 'POST') {
+        publishPostEvent(updated, 'post.created', { post: Post.toEventJSON(updated) });
+      } else {
+        publishPostEvent(post, 'reply.created', { reply: Post.replyToEventJSON(updated) });
+      }
+    }
+
+    await Notification.notify({
+      userId: content.authorId,
+      actorId: req.user.id,
+      type: 'MODERATION',
+      postId: post.id,
+      replyId: targetType === 'REPLY' ? content.id : undefined,
+      data: { action: decision.toUpperCase(), note }
+    });
+
+    await recordAudit(req, {
+      action: `moderation.${decision}`,
+      targetType: targetType.toLowerCase(),
+      targetId: content.id,
+      before: { moderationStatus: content.moderationStatus },
+      after: { moderationStatus }
+    });
+
+    res.json({
+      message: `${targetType === 'POST' ? 'Post' : 'Reply'} ${decision === 'approve' ? 'approved' : 'rejected'} successfully`,
+      [targetType === 'POST' ? 'post' : 'reply']: updated
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { DIGEST_FREQUENCIES } = require('../utils/digest');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get current user's notifications, newest first
+router.get('/', [
+  query('unread').optional().isBoolean().toBoolean(),
+  query('type').optional().toUpperCase().isIn(Notification.TYPES),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { unread, type } = req.query;
+    const query = { userId: req.user.id };
+
+    if (unread) query.readAt = null;
+    if (type) query.type = type;
+
+    const [page, unreadCount] = await Promise.all([
+      paginate(Notification, query, parsePagination(req.query), { sortBy: 'createdAt' }),
+      Notification.countUnread(req.user.id)
+    ]);
+
+    sendPage(req, res, 'notifications', page, { unreadCount });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    const mutedTypes = await Notification.getMutedTypes(req.user.id);
+
+    res.json({
+      types: Notification.TYPES,
+      mutedTypes,
+      digestFrequencies: ['NEVER', ...DIGEST_FREQUENCIES],
+      digestFrequency: req.user.digestFrequency
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update notification preferences
+router.put('/preferences', [
+  body('mutedTypes').optional().isArray(),
+  body('mutedTypes.*').toUpperCase().isIn(Notification.TYPES),
+  body('digestFrequency').optional().toUpperCase().isIn(['NEVER', ...DIGEST_FREQUENCIES])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { digestFrequency } = req.body;
+
+    const mutedTypes = req.body.mutedTypes
+      ? await Notification.setMutedTypes(req.user.id, [...new Set(req.body.mutedTypes)])
+      : await Notification.getMutedTypes(req.user.id);
+
+    if (digestFrequency) {
+      await User.findByIdAndUpdate(req.user.id, { digestFrequency });
+    }
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      mutedTypes,
+      digestFrequency: digestFrequency || req.user.digestFrequency
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const count = await Notification.markAllRead(req.user.id);
+
+    res.json({
+      message: 'Notifications marked as read',
+      count
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const found = await Notification.markRead(req.params.id, req.user.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,90 +1,224 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
-const { authenticateToken, requireTeacherOrAdmin } = require('../middleware/auth');
+const Report = require('../models/Report');
+const PostRevision = require('../models/PostRevision');
+const Notification = require('../models/Notification');
+const Subscription = require('../models/Subscription');
+const Course = require('../models/Course');
+const Attachment = require('../models/Attachment');
+const Poll = require('../models/Poll');
+const Acknowledgement = require('../models/Acknowledgement');
+const { recordAudit } = require('../utils/audit');
+const { diffText, diffTags } = require('../utils/diff');
+const { publishPostEvent } = require('../utils/realtime');
+const { saveAttachments } = require('../utils/attachments');
+const { filterContent } = require('../utils/contentFilter');
+const { publishingFields, announcementFields } = require('../utils/postFields');
+const { CONTENT_FORMATS, formatContent } = require('../utils/markdown');
+const uploadConfig = require('../config/uploads');
+const forumConfig = require('../config/forum');
+const { isValidCursor, parsePagination, paginate, offsetPage, sendPage } = require('../utils/pagination');
+const { can, hasPermission } = require('../utils/permissions');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
+const { uploadFiles } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Get all posts with pagination and filtering
-router.get('/', async (req, res) => {
+// Load an active post in a category the current user can see, or send a 404. Held and
+// rejected posts are only found by their author and moderators, drafts and scheduled posts
+// only by their author, and grade announcements only by that grade and staff;
+// `req.canModeratePost` is set for the checks that follow.
+const findVisiblePost = async (req, res) => {
+  const post = await Post.findById(req.params.id, false, req.user);
+  if (!post || !post.isActive || !Post.isPublishedVisible(post, req.user) || !Post.isAudienceVisible(post, req.user)
+    || !(await Course.canAccessCategory(req.user, post.categoryId))) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  req.canModeratePost = await can(req.user, 'moderation:view', post);
+  if (!Post.isModerationVisible(post, req.user, req.canModeratePost)) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  return post;
+};
+
+// Run new or edited post/reply text through the content filter (see utils/contentFilter.js).
+// Sends a 400 and returns null if it is rejected; otherwise returns the fields to save,
+// including the moderation status. Held content waits for review, and so do edits of content
+// that is already held or was rejected.
+const runContentFilter = async (req, res, { type, fields, existing = null }) => {
+  const result = await filterContent({ user: req.user, type, fields, targetId: existing?.id });
+  if (result.action === 'REJECT') {
+    res.status(400).json({ error: 'This content is not allowed', reasons: result.reasons });
+    return null;
+  }
+
+  const held = result.action === 'HOLD' || (existing && existing.moderationStatus !== 'APPROVED');
+  return {
+    ...result.fields,
+    moderationStatus: held ? 'PENDING' : 'APPROVED',
+    filterReasons: result.action === 'HOLD' ? result.reasons : (existing?.filterReasons || [])
+  };
+};
+
+// Get all posts the caller can see, with pagination and filtering
+router.get('/', optionalAuth, [
+  query('format').optional().isIn(CONTENT_FORMATS),
+  query('status').optional().isIn(['solved', 'unsolved']),
+  query('type').optional().isIn(Post.TYPES),
+  query('sortBy').optional().isIn(['lastActivity', 'createdAt', 'views', 'title']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       category, 
       author, 
+      tag,
       search, 
+      status,
+      type,
       sortBy = 'lastActivity', 
       sortOrder = 'desc' 
     } = req.query;
 
-    const query = { isActive: true };
+    const query = {
+      isActive: true,
+      status: 'PUBLISHED',
+      category: Course.categoryFilter(req.user),
+      AND: [
+        Post.moderationFilter(req.user, hasPermission(req.user, 'moderation:view')),
+        Post.audienceFilter(req.user)
+      ]
+    };
     
-    if (category) query.category = category;
-    if (author) query.author = author;
+    if (category) query.categoryId = category;
+    if (type) query.type = type;
+    if (author) query.authorId = author;
+    if (tag) query.tags = { has: tag.replace(/^#/, '').toLowerCase() };
+    if (status === 'solved') query.acceptedReplyId = { not: null };
+    if (status === 'unsolved') query.acceptedReplyId = null;
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $regex: search, $options: 'i' } }
+      query.OR = [
+        { title: { contains: search, mode: 'insensitive' } },
+        { content: { contains: search, mode: 'insensitive' } },
+        { tags: { has: search.toLowerCase() } }
       ];
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const page = await paginate(Post, query, parsePagination(req.query), {
+      sortBy,
+      sortOrder,
+      findOptions: { viewer: req.user }
+    });
+    page.items = page.items.map(post => formatContent(post, req.query.format));
 
-    const posts = await Post.find(query)
-      .populate('author', 'username fullName role')
-      .populate('category', 'name color')
-      .populate('replies.author', 'username fullName')
-      .select('-replies.likes')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort(sortOptions);
+    sendPage(req, res, 'posts', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const total = await Post.countDocuments(query);
+// Get the current user's drafts and scheduled posts, most recently edited first
+router.get('/drafts', authenticateToken, [
+  query('status').optional().isIn(['DRAFT', 'SCHEDULED']),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    res.json({
-      posts,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+  try {
+    const query = {
+      authorId: req.user.id,
+      isActive: true,
+      status: req.query.status || { in: ['DRAFT', 'SCHEDULED'] }
+    };
+
+    const page = await paginate(Post, query, parsePagination(req.query), {
+      sortBy: 'updatedAt',
+      findOptions: { viewer: req.user }
     });
+
+    sendPage(req, res, 'posts', page);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Get post by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username fullName role avatar')
-      .populate('category', 'name color')
-      .populate('replies.author', 'username fullName role avatar')
-      .populate('likes', 'username fullName');
+router.get('/:id', optionalAuth, [
+  query('format').optional().isIn(CONTENT_FORMATS)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    if (!post || !post.isActive) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
 
     // Increment view count
-    post.views += 1;
-    await post.save();
+    await Post.incrementViewCount(post.id);
 
-    res.json({ post });
+    res.json({
+      post: formatContent({
+        ...post,
+        views: post.views + 1,
+        replies: post.replies
+          .filter(reply => Post.isModerationVisible(reply, req.user, req.canModeratePost))
+          .map(reply => Post.replyToJSON(reply))
+      }, req.query.format)
+    });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Create a new post
-router.post('/', authenticateToken, [
-  body('title').trim().isLength({ min: 5, max: 200 }).escape(),
+router.post('/', authenticateToken, requirePermission('post:create'), rateLimit('post'), [
+  body('title').trim().isLength({ min: 5, max: 200 }),
   body('content').trim().isLength({ min: 10, max: 5000 }),
-  body('category').isMongoId(),
-  body('tags').optional().isArray()
+  body('category').isString().notEmpty(),
+  body('tags').optional().isArray(),
+  body('status').optional().isIn(Post.STATUSES),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601().toDate()
+    .custom(publishAt => publishAt > new Date())
+    .withMessage('publishAt must be in the future'),
+  body('type').optional().isIn(Post.TYPES),
+  body('audience').optional().isIn(Post.AUDIENCES),
+  body('audienceGrade').optional().isString().trim().isLength({ min: 1, max: 20 }),
+  body('poll').optional().isObject(),
+  body('poll.options')
+    .if(body('poll').exists())
+    .isArray({ min: 2, max: forumConfig.maxPollOptions })
+    .bail()
+    .custom(options => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+    .withMessage(`A poll needs 2 to ${forumConfig.maxPollOptions} different options`),
+  body('poll.options.*').isString().trim().isLength({ min: 1, max: 200 }),
+  body('poll.allowMultiple').optional().isBoolean().toBoolean(),
+  body('poll.isAnonymous').optional().isBoolean().toBoolean(),
+  body('poll.resultsVisibility').optional().isIn(Poll.RESULTS_VISIBILITY),
+  body('poll.closesAt')
+    .optional({ values: 'null' })
+    .isISO8601().toDate()
+    .custom(closesAt => closesAt > new Date())
+    .withMessage('Poll closing time must be in the future')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -92,30 +226,49 @@ router.post('/', authenticateToken, [
   }
 
   try {
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, poll } = req.body;
 
     // Verify category exists
     const categoryExists = await Category.findById(category);
-    if (!categoryExists) {
+    if (!categoryExists || !categoryExists.isActive || !(await Course.canAccessCategory(req.user, category))) {
       return res.status(400).json({ error: 'Invalid category' });
     }
 
-    const post = new Post({
-      title,
-      content,
-      author: req.user._id,
-      category,
-      tags: tags || []
-    });
+    const publishing = publishingFields(req, res);
+    if (!publishing) return;
 
-    await post.save();
-    await post.populate('author', 'username fullName role');
-    await post.populate('category', 'name color');
+    const announcement = announcementFields(req, res);
+    if (!announcement) return;
 
-    res.status(201).json({
-      message: 'Post created successfully',
-      post
+    const filtered = await runContentFilter(req, res, { type: 'post', fields: { title, content } });
+    if (!filtered) return;
+
+    const post = await Post.create({
+      ...filtered,
+      ...publishing,
+      ...announcement,
+      authorId: req.user.id,
+      categoryId: category,
+      tags: tags || [],
+      poll: poll ? {
+        options: poll.options,
+        allowMultiple: poll.allowMultiple,
+        isAnonymous: poll.isAnonymous,
+        resultsVisibility: poll.resultsVisibility,
+        closesAt: poll.closesAt
+      } : undefined
     });
+
+    const held = post.moderationStatus !== 'APPROVED';
+    if (!held) {
+      publishPostEvent(post, 'post.created', { post: Post.toEventJSON(post) });
+    }
+
+    let message = held ? 'Post submitted for review' : 'Post created successfully';
+    if (post.status === 'DRAFT') message = 'Post saved as a draft';
+    if (post.status === 'SCHEDULED') message = 'Post scheduled successfully';
+
+    res.status(201).json({ message, post });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -123,9 +276,17 @@ router.post('/', authenticateToken, [
 
 // Update post
 router.put('/:id', authenticateToken, [
-  body('title').optional().trim().isLength({ min: 5, max: 200 }).escape(),
+  body('title').optional().trim().isLength({ min: 5, max: 200 }),
   body('content').optional().trim().isLength({ min: 10, max: 5000 }),
-  body('tags').optional().isArray()
+  body('tags').optional().isArray(),
+  body('status').optional().isIn(Post.STATUSES),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601().toDate()
+    .custom(publishAt => publishAt > new Date())
+    .withMessage('publishAt must be in the future'),
+  body('audience').optional().isIn(Post.AUDIENCES),
+  body('audienceGrade').optional().isString().trim().isLength({ min: 1, max: 20 })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -133,35 +294,77 @@ router.put('/:id', authenticateToken, [
   }
 
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
 
-    // Check if user is author or has admin/teacher privileges
-    if (post.author.toString() !== req.user._id.toString() && 
-        !['admin', 'teacher'].includes(req.user.role)) {
+    if (!(await can(req.user, 'post:edit', post))) {
       return res.status(403).json({ error: 'Not authorized to edit this post' });
     }
 
     const { title, content, tags } = req.body;
-    const updateData = {};
+    const publishing = req.body.status || req.body.publishAt ? publishingFields(req, res, post) : {};
+    if (!publishing) return;
+    const publishNow = publishing.status === 'PUBLISHED' && post.status !== 'PUBLISHED';
+    const announcement = req.body.audience || req.body.audienceGrade ? announcementFields(req, res, post) : {};
+    if (!announcement) return;
+    let updateData = {};
     
     if (title) updateData.title = title;
     if (content) updateData.content = content;
+    if (title || content) {
+      updateData = await runContentFilter(req, res, { type: 'post', fields: updateData, existing: post });
+      if (!updateData) return;
+    }
     if (tags) updateData.tags = tags;
-    updateData.isEdited = true;
-    updateData.editedAt = new Date();
+    if (announcement.audience) {
+      updateData.audience = announcement.audience;
+      updateData.audienceGrade = announcement.audienceGrade;
+    }
+    if (publishing.status && !publishNow) {
+      updateData.status = publishing.status;
+      updateData.publishAt = publishing.publishAt;
+    }
+    // Only changes after publishing count as edits
+    if (post.status === 'PUBLISHED') {
+      updateData.isEdited = true;
+      updateData.editedAt = new Date();
+    }
+
+    let updatedPost = await Post.findByIdAndUpdate(req.params.id, updateData);
+    if (publishNow) {
+      updatedPost = (await Post.publish(post.id)) || updatedPost;
+    }
+
+    if (title || content || tags) {
+      await PostRevision.record({
+        postId: post.id,
+        editorId: req.user.id,
+        before: post,
+        after: updatedPost
+      });
+    }
+
+    // Edits of someone else's post are moderation and get audited
+    if (post.authorId !== req.user.id) {
+      await recordAudit(req, {
+        action: 'post.edit',
+        targetType: 'post',
+        targetId: post.id,
+        before: post,
+        after: { title, content, tags }
+      });
+    }
 
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('author', 'username fullName role')
-     .populate('category', 'name color');
+    if (updatedPost.moderationStatus === 'APPROVED') {
+      if (publishNow) {
+        publishPostEvent(updatedPost, 'post.created', { post: Post.toEventJSON(updatedPost) });
+      } else {
+        publishPostEvent(post, 'post.updated', { post: Post.toEventJSON(updatedPost) });
+      }
+    }
 
     res.json({
-      message: 'Post updated successfully',
+      message: publishNow ? 'Post published successfully' : 'Post updated successfully',
       post: updatedPost
     });
   } catch (error) {
@@ -172,28 +375,157 @@ router.put('/:id', authenticateToken, [
 // Delete post
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
 
-    // Check if user is author or has admin/teacher privileges
-    if (post.author.toString() !== req.user._id.toString() && 
-        !['admin', 'teacher'].includes(req.user.role)) {
+    if (!(await can(req.user, 'post:delete', post))) {
       return res.status(403).json({ error: 'Not authorized to delete this post' });
     }
 
     // Soft delete
     await Post.findByIdAndUpdate(req.params.id, { isActive: false });
 
+    if (post.authorId !== req.user.id) {
+      await recordAudit(req, {
+        action: 'post.delete',
+        targetType: 'post',
+        targetId: post.id,
+        before: post,
+        after: { isActive: false }
+      });
+    }
+
+    publishPostEvent(post, 'post.deleted', {});
+
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Create a reply, optionally nested under another reply
+const createReply = async (req, res, parentId) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (post.isLocked) {
+      return res.status(403).json({ error: 'Post is locked' });
+    }
+
+    if (post.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Post is not published yet' });
+    }
+
+    if (parentId) {
+      const parent = await Post.findReplyById(parentId);
+      if (!parent || parent.postId !== post.id || !parent.isActive) {
+        return res.status(404).json({ error: 'Reply not found' });
+      }
+
+      if (parent.depth + 1 > forumConfig.maxReplyDepth) {
+        return res.status(400).json({
+          error: 'Maximum reply depth reached',
+          maxDepth: forumConfig.maxReplyDepth
+        });
+      }
+    }
+
+    const filtered = await runContentFilter(req, res, { type: 'reply', fields: { content: req.body.content } });
+    if (!filtered) return;
+
+    const reply = await Post.addReply(post.id, {
+      ...filtered,
+      authorId: req.user.id,
+      parentId
+    });
+
+    const replyJSON = Post.replyToJSON(reply);
+    const held = reply.moderationStatus !== 'APPROVED';
+    if (!held) {
+      publishPostEvent(post, 'reply.created', { reply: Post.replyToEventJSON(replyJSON) });
+    }
+
+    res.status(201).json({
+      message: held ? 'Reply submitted for review' : 'Reply added successfully',
+      reply: replyJSON
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Get replies for a post, flat (default) or as a nested tree
+router.get('/:id/replies', optionalAuth, [
+  query('format').optional().isIn(['flat', 'tree']),
+  // `format` already picks the reply layout here
+  query('contentFormat').optional().isIn(CONTENT_FORMATS),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: forumConfig.maxPageSize }).toInt(),
+  query('parentId').optional().isString(),
+  query('childLimit').optional().isInt({ min: 0, max: 50 }).toInt(),
+  query('depth').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { format = 'flat', page = 1, limit = 20, parentId, childLimit, depth } = req.query;
+
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    const pagination = { limit, skip: (page - 1) * limit, filter: Post.moderationFilter(req.user, req.canModeratePost) };
+    const { replies, total } = format === 'tree'
+      ? await Post.findReplyTree(post.id, {
+        ...pagination,
+        parentId: parentId || null,
+        childLimit,
+        depth: depth === undefined ? undefined : Math.min(depth, forumConfig.maxReplyDepth)
+      })
+      : await Post.findReplies(post.id, pagination);
+    const formatted = replies.map(reply => formatContent(reply, req.query.contentFormat));
+
+    sendPage(req, res, 'replies', offsetPage(formatted, total, { limit, page }));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Add reply to post
-router.post('/:id/replies', authenticateToken, [
+router.post('/:id/replies', authenticateToken, requirePermission('reply:create'), rateLimit('reply'), [
+  body('content').trim().isLength({ min: 1, max: 2000 })
+], (req, res) => createReply(req, res, null));
+
+// Reply to a reply
+router.post('/:id/replies/:replyId/replies', authenticateToken, requirePermission('reply:create'), rateLimit('reply'), [
+  body('content').trim().isLength({ min: 1, max: 2000 })
+], (req, res) => createReply(req, res, req.params.replyId));
+
+// Load a post and one of its replies, sending a 404 if either is missing
+const findPostAndReply = async (req, res) => {
+  const post = await findVisiblePost(req, res);
+  if (!post) return {};
+
+  const reply = await Post.findReplyById(req.params.replyId);
+  if (!reply || reply.postId !== post.id || !reply.isActive
+    || !Post.isModerationVisible(reply, req.user, req.canModeratePost)) {
+    res.status(404).json({ error: 'Reply not found' });
+    return {};
+  }
+
+  return { post, reply };
+};
+
+// Update reply
+router.put('/:id/replies/:replyId', authenticateToken, [
   body('content').trim().isLength({ min: 1, max: 2000 })
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -202,29 +534,352 @@ router.post('/:id/replies', authenticateToken, [
   }
 
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({ error: 'Post not found' });
+    const { post, reply } = await findPostAndReply(req, res);
+    if (!reply) return;
+
+    if (!(await can(req.user, 'reply:edit', { ...reply, categoryId: post.categoryId }))) {
+      return res.status(403).json({ error: 'Not authorized to edit this reply' });
     }
 
-    if (post.isLocked) {
-      return res.status(403).json({ error: 'Post is locked' });
+    const filtered = await runContentFilter(req, res, {
+      type: 'reply',
+      fields: { content: req.body.content },
+      existing: reply
+    });
+    if (!filtered) return;
+
+    const updatedReply = await Post.updateReply(reply.id, {
+      ...filtered,
+      isEdited: true,
+      editedAt: new Date()
+    });
+
+    await PostRevision.record({
+      postId: reply.postId,
+      replyId: reply.id,
+      editorId: req.user.id,
+      before: reply,
+      after: updatedReply
+    });
+
+    if (reply.authorId !== req.user.id) {
+      await recordAudit(req, {
+        action: 'reply.edit',
+        targetType: 'reply',
+        targetId: reply.id,
+        before: reply,
+        after: { content: updatedReply.content }
+      });
     }
 
-    const reply = {
-      content: req.body.content,
-      author: req.user._id
-    };
+    if (updatedReply.moderationStatus === 'APPROVED') {
+      publishPostEvent(post, 'reply.updated', { reply: Post.replyToEventJSON(updatedReply) });
+    }
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: updatedReply
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    post.replies.push(reply);
-    await post.save();
-    await post.populate('replies.author', 'username fullName role');
+// Delete reply
+router.delete('/:id/replies/:replyId', authenticateToken, async (req, res) => {
+  try {
+    const { post, reply } = await findPostAndReply(req, res);
+    if (!reply) return;
 
-    const newReply = post.replies[post.replies.length - 1];
+    if (!(await can(req.user, 'reply:delete', { ...reply, categoryId: post.categoryId }))) {
+      return res.status(403).json({ error: 'Not authorized to delete this reply' });
+    }
 
-    res.status(201).json({
-      message: 'Reply added successfully',
-      reply: newReply
+    await Post.deleteReply(reply.id);
+
+    if (reply.authorId !== req.user.id) {
+      await recordAudit(req, {
+        action: 'reply.delete',
+        targetType: 'reply',
+        targetId: reply.id,
+        before: reply,
+        after: { isActive: false }
+      });
+    }
+
+    publishPostEvent(post, 'reply.deleted', { replyId: reply.id });
+
+    res.json({ message: 'Reply deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Store the uploaded files as attachments of a post or reply and send the response
+const addAttachments = async (req, res, post, reply = null) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  const existing = await Attachment.countForTarget(post.id, reply ? reply.id : null);
+  if (existing + req.files.length > uploadConfig.maxAttachmentsPerTarget) {
+    return res.status(400).json({ error: `At most ${uploadConfig.maxAttachmentsPerTarget} files can be attached` });
+  }
+
+  const { attachments, errors } = await saveAttachments(req.files, {
+    postId: post.id,
+    replyId: reply ? reply.id : null,
+    uploaderId: req.user.id
+  });
+  if (errors) {
+    return res.status(400).json({ error: 'Some files could not be attached', files: errors });
+  }
+
+  publishPostEvent(post, 'attachment.added', { replyId: reply ? reply.id : null, attachments });
+
+  res.status(201).json({
+    message: 'Files attached successfully',
+    attachments
+  });
+};
+
+// Attach files to a post (multipart field `files`)
+router.post('/:id/attachments', authenticateToken, rateLimit('upload'), uploadFiles, async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (!(await can(req.user, 'post:edit', post))) {
+      return res.status(403).json({ error: 'Not authorized to attach files to this post' });
+    }
+
+    await addAttachments(req, res, post);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Attach files to a reply (multipart field `files`)
+router.post('/:id/replies/:replyId/attachments', authenticateToken, rateLimit('upload'), uploadFiles, async (req, res) => {
+  try {
+    const { post, reply } = await findPostAndReply(req, res);
+    if (!reply) return;
+
+    if (!(await can(req.user, 'reply:edit', { ...reply, categoryId: post.categoryId }))) {
+      return res.status(403).json({ error: 'Not authorized to attach files to this reply' });
+    }
+
+    await addAttachments(req, res, post, reply);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Like/unlike reply
+router.post('/:id/replies/:replyId/like', authenticateToken, async (req, res) => {
+  try {
+    const { post, reply } = await findPostAndReply(req, res);
+    if (!reply) return;
+
+    const isLiked = await Post.hasReplyLike(reply.id, req.user.id);
+
+    if (isLiked) {
+      await Post.removeReplyLike(reply.id, req.user.id);
+    } else {
+      await Post.addReplyLike(reply.id, req.user.id);
+    }
+
+    const likeCount = await Post.countReplyLikes(reply.id);
+    publishPostEvent(post, 'reply.liked', { replyId: reply.id, likeCount });
+
+    res.json({
+      message: isLiked ? 'Reply unliked' : 'Reply liked',
+      likeCount,
+      isLiked: !isLiked
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark/unmark reply as the accepted answer (post author or moderators)
+router.patch('/:id/replies/:replyId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { post, reply } = await findPostAndReply(req, res);
+    if (!reply) return;
+
+    if (!(await can(req.user, 'post:accept', post))) {
+      return res.status(403).json({ error: 'Not authorized to accept an answer for this post' });
+    }
+
+    const isAccepted = post.acceptedReplyId !== reply.id;
+    await Post.setAcceptedReply(post.id, isAccepted ? reply.id : null);
+
+    publishPostEvent(post, 'post.answer', { acceptedReplyId: isAccepted ? reply.id : null });
+
+    res.json({
+      message: `Answer ${isAccepted ? 'accepted' : 'unaccepted'} successfully`,
+      acceptedReplyId: isAccepted ? reply.id : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Load the post (or reply, with ?replyId=) whose history is requested and check the
+// user may `revision:view` it (or `revision:restore`, etc.)
+const findRevisionTarget = async (req, res, replyId, action = 'revision:view') => {
+  const post = await findVisiblePost(req, res);
+  if (!post) return {};
+
+  let reply = null;
+  if (replyId) {
+    reply = await Post.findReplyById(replyId);
+    if (!reply || reply.postId !== post.id) {
+      res.status(404).json({ error: 'Reply not found' });
+      return {};
+    }
+  }
+
+  const authorId = reply ? reply.authorId : post.authorId;
+  if (!(await can(req.user, action, { authorId, categoryId: post.categoryId }))) {
+    res.status(403).json({ error: `Not authorized to ${action === 'revision:view' ? 'view' : 'restore'} this history` });
+    return {};
+  }
+
+  return { post, reply, authorId };
+};
+
+// Load a revision and check it belongs to the post, sending a 404 otherwise
+const findRevision = async (req, res) => {
+  const revision = await PostRevision.findById(req.params.revId);
+  if (!revision || revision.postId !== req.params.id) {
+    res.status(404).json({ error: 'Revision not found' });
+    return null;
+  }
+  return revision;
+};
+
+// Get edit history of a post, or of one of its replies with ?replyId=
+router.get('/:id/revisions', authenticateToken, [
+  query('replyId').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { post, reply } = await findRevisionTarget(req, res, req.query.replyId);
+    if (!post) return;
+
+    const revisions = await PostRevision.findByTarget(post.id, reply ? reply.id : null);
+
+    res.json({ revisions });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Diff a revision against the one before it (or another revision with ?against=)
+router.get('/:id/revisions/:revId/diff', authenticateToken, [
+  query('mode').optional().isIn(['word', 'line']),
+  query('against').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const revision = await findRevision(req, res);
+    if (!revision) return;
+
+    const { post } = await findRevisionTarget(req, res, revision.replyId);
+    if (!post) return;
+
+    let base;
+    if (req.query.against) {
+      base = await PostRevision.findById(req.query.against);
+      if (!base || base.postId !== revision.postId || base.replyId !== revision.replyId) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+    } else {
+      base = await PostRevision.findPrevious(revision);
+    }
+
+    const mode = req.query.mode || 'word';
+
+    res.json({
+      revision,
+      against: base,
+      diff: {
+        title: revision.replyId ? undefined : diffText(base?.title, revision.title, mode),
+        content: diffText(base?.content, revision.content, mode),
+        tags: revision.replyId ? undefined : diffTags(base?.tags, revision.tags)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Roll a post or reply back to an earlier revision
+router.post('/:id/revisions/:revId/restore', authenticateToken, async (req, res) => {
+  try {
+    const revision = await findRevision(req, res);
+    if (!revision) return;
+
+    const { post, reply, authorId } = await findRevisionTarget(req, res, revision.replyId, 'revision:restore');
+    if (!post) return;
+
+    const restoredFields = reply
+      ? { content: revision.content }
+      : { title: revision.title, content: revision.content, tags: revision.tags };
+
+    // Old revisions may predate the current filter rules
+    const filtered = await runContentFilter(req, res, {
+      type: reply ? 'reply' : 'post',
+      fields: reply ? { content: revision.content } : { title: revision.title, content: revision.content },
+      existing: reply || post
+    });
+    if (!filtered) return;
+
+    const updateData = { ...restoredFields, ...filtered, isEdited: true, editedAt: new Date() };
+
+    const restored = reply
+      ? await Post.updateReply(reply.id, updateData)
+      : await Post.findByIdAndUpdate(post.id, updateData);
+
+    const newRevision = await PostRevision.record({
+      postId: post.id,
+      replyId: reply ? reply.id : null,
+      editorId: req.user.id,
+      before: reply || post,
+      after: restored,
+      restoredFromId: revision.id
+    });
+
+    if (authorId !== req.user.id) {
+      await recordAudit(req, {
+        action: reply ? 'reply.restore' : 'post.restore',
+        targetType: reply ? 'reply' : 'post',
+        targetId: reply ? reply.id : post.id,
+        before: reply || post,
+        after: restoredFields
+      });
+    }
+
+    if (restored.moderationStatus === 'APPROVED') {
+      publishPostEvent(post, reply ? 'reply.updated' : 'post.updated', reply
+        ? { reply: Post.replyToEventJSON(restored) }
+        : { post: Post.toEventJSON(restored) });
+    }
+
+    res.json({
+      message: `${reply ? 'Reply' : 'Post'} restored successfully`,
+      [reply ? 'reply' : 'post']: restored,
+      revision: newRevision
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -234,25 +889,23 @@ router.post('/:id/replies', authenticateToken, [
 // Like/unlike post
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
 
-    const userId = req.user._id;
-    const isLiked = post.likes.includes(userId);
+    const isLiked = await Post.hasLike(post.id, req.user.id);
 
     if (isLiked) {
-      post.likes.pull(userId);
+      await Post.removeLike(post.id, req.user.id);
     } else {
-      post.likes.push(userId);
+      await Post.addLike(post.id, req.user.id);
     }
 
-    await post.save();
+    const likeCount = await Post.countLikes(post.id);
+    publishPostEvent(post, 'post.liked', { likeCount });
 
     res.json({
       message: isLiked ? 'Post unliked' : 'Post liked',
-      likeCount: post.likes.length,
+      likeCount,
       isLiked: !isLiked
     });
   } catch (error) {
@@ -260,40 +913,314 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
-// Pin/unpin post (teacher/admin only)
-router.patch('/:id/pin', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+// Vote in a post's poll; voting again replaces the earlier vote
+router.post('/:id/poll/vote', authenticateToken, [
+  body('optionIds').isArray({ min: 1 }),
+  body('optionIds.*').isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    const poll = await Poll.findByPostId(post.id);
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (post.isLocked) {
+      return res.status(403).json({ error: 'Post is locked' });
+    }
+
+    if (post.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Voting opens once the post is published' });
+    }
+
+    if (post.moderationStatus !== 'APPROVED') {
+      return res.status(400).json({ error: 'Voting opens once the post is approved' });
+    }
+
+    if (Poll.isClosed(poll)) {
+      return res.status(400).json({ error: 'Poll is closed' });
+    }
+
+    const optionIds = [...new Set(req.body.optionIds)];
+    if (optionIds.length > 1 && !poll.allowMultiple) {
+      return res.status(400).json({ error: 'This poll only allows one choice' });
+    }
+
+    const validIds = poll.options.map(option => option.id);
+    if (optionIds.some(optionId => !validIds.includes(optionId))) {
+      return res.status(400).json({ error: 'Invalid poll option' });
+    }
+
+    const updatedPoll = await Poll.vote(poll.id, req.user.id, optionIds);
+
+    // Only say that the poll changed: counts may be hidden from some of the listeners
+    publishPostEvent(post, 'poll.voted', { pollId: poll.id });
+
+    res.json({
+      message: 'Vote recorded successfully',
+      poll: Poll.toJSON(updatedPoll, { viewerId: req.user.id, authorId: post.authorId })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Acknowledge having read an announcement
+router.post('/:id/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (post.type !== 'ANNOUNCEMENT') {
+      return res.status(400).json({ error: 'Only announcements can be acknowledged' });
+    }
+
+    if (post.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Post is not published yet' });
+    }
+
+    const acknowledgement = await Acknowledgement.acknowledge(post.id, req.user.id);
+
+    res.json({
+      message: 'Announcement acknowledged successfully',
+      acknowledgedAt: acknowledgement.createdAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Who in an announcement's audience has read it (?status=acknowledged) or not yet
+// (?status=pending, the default), with counts of both (teachers and admins only)
+router.get('/:id/acknowledgements', authenticateToken, requirePermission('announcement:track'), [
+  query('status').optional().isIn(['acknowledged', 'pending']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: forumConfig.maxPageSize }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (post.type !== 'ANNOUNCEMENT') {
+      return res.status(400).json({ error: 'Only announcements track acknowledgements' });
     }
 
-    post.isPinned = !post.isPinned;
-    await post.save();
+    const category = await Category.findById(post.categoryId);
+    const { users, acknowledgedCount, pendingCount } = await Acknowledgement.report(post, category, {
+      acknowledged: status === 'acknowledged',
+      limit,
+      skip: (page - 1) * limit
+    });
+    const total = status === 'acknowledged' ? acknowledgedCount : pendingCount;
+
+    sendPage(req, res, 'users', offsetPage(users, total, { limit, page }), {
+      audience: post.audience,
+      audienceGrade: post.audienceGrade,
+      acknowledgedCount,
+      pendingCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Follow a post
+router.post('/:id/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    await Subscription.subscribe(req.user.id, 'POST', post.id);
+
+    res.json({
+      message: 'Subscribed to post successfully',
+      isSubscribed: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unfollow a post
+router.delete('/:id/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const found = await Subscription.unsubscribe(req.user.id, 'POST', req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
 
     res.json({
-      message: `Post ${post.isPinned ? 'pinned' : 'unpinned'} successfully`,
-      isPinned: post.isPinned
+      message: 'Unsubscribed from post successfully',
+      isSubscribed: false
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Lock/unlock post (teacher/admin only)
-router.patch('/:id/lock', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+// Report post for moderation
+router.post('/:id/report', authenticateToken, [
+  body('reason').toUpperCase().isIn(Report.REASONS),
+  body('details').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (post.authorId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot report your own post' });
     }
 
-    post.isLocked = !post.isLocked;
-    await post.save();
+    const existingReport = await Report.findByReporter(req.user.id, 'POST', post.id);
+    if (existingReport) {
+      return res.status(400).json({ error: 'You have already reported this post' });
+    }
+
+    const report = await Report.create({
+      reporterId: req.user.id,
+      targetType: 'POST',
+      postId: post.id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    res.status(201).json({
+      message: 'Report submitted successfully',
+      report
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pin/unpin post (teachers, admins and category moderators). Pass `isPinned` to pin or
+// unpin; without it the pin is toggled. Pass `pinnedUntil` to have the post unpinned
+// automatically: on its own it pins the post, or changes when a pinned post is unpinned.
+router.patch('/:id/pin', authenticateToken, [
+  body('isPinned').optional().isBoolean().toBoolean(),
+  body('pinnedUntil')
+    .optional({ values: 'null' })
+    .isISO8601().toDate()
+    .custom(pinnedUntil => pinnedUntil > new Date())
+    .withMessage('pinnedUntil must be in the future')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (!(await can(req.user, 'post:pin', post))) {
+      return res.status(403).json({ error: 'Not authorized to pin this post' });
+    }
+
+    if (post.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Post is not published yet' });
+    }
+
+    const hasPinnedUntil = req.body.pinnedUntil !== undefined;
+    const isPinned = req.body.isPinned ?? (hasPinnedUntil || !post.isPinned);
+    const wasPinned = post.isPinned;
+    let pinnedUntil = null;
+    if (isPinned) {
+      pinnedUntil = hasPinnedUntil ? req.body.pinnedUntil : (wasPinned ? post.pinnedUntil : null);
+    }
+    await Post.findByIdAndUpdate(post.id, {
+      isPinned,
+      pinnedAt: isPinned ? (wasPinned ? post.pinnedAt : new Date()) : null,
+      pinnedUntil
+    });
+
+    if (isPinned && !wasPinned) {
+      await Notification.notify({
+        userId: post.authorId,
+        actorId: req.user.id,
+        type: 'POST_PINNED',
+        postId: post.id
+      });
+    }
+
+    await recordAudit(req, {
+      action: isPinned ? 'post.pin' : 'post.unpin',
+      targetType: 'post',
+      targetId: post.id,
+      before: post,
+      after: { isPinned, pinnedUntil }
+    });
+
+    publishPostEvent(post, 'post.pinned', { isPinned, pinnedUntil });
+
+    res.json({
+      message: `Post ${isPinned ? 'pinned' : 'unpinned'} successfully`,
+      isPinned,
+      pinnedUntil
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lock/unlock post (teachers, admins and category moderators)
+router.patch('/:id/lock', authenticateToken, async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, res);
+    if (!post) return;
+
+    if (!(await can(req.user, 'post:lock', post))) {
+      return res.status(403).json({ error: 'Not authorized to lock this post' });
+    }
+
+    if (post.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Post is not published yet' });
+    }
+
+    const isLocked = !post.isLocked;
+    await Post.findByIdAndUpdate(post.id, { isLocked });
+
+    if (isLocked) {
+      await Notification.notify({
+        userId: post.authorId,
+        actorId: req.user.id,
+        type: 'POST_LOCKED',
+        postId: post.id
+      });
+    }
+
+    await recordAudit(req, {
+      action: isLocked ? 'post.lock' : 'post.unlock',
+      targetType: 'post',
+      targetId: post.id,
+      before: post,
+      after: { isLocked }
+    });
+
+    publishPostEvent(post, 'post.locked', { isLocked });
 
     res.json({
-      message: `Post ${post.isLocked ? 'locked' : 'unlocked'} successfully`,
-      isLocked: post.isLocked
+      message: `Post ${isLocked ? 'locked' : 'unlocked'} successfully`,
+      isLocked
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
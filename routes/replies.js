@@ -0,0 +1,73 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Report = require('../models/Report');
+const Course = require('../models/Course');
+const { can } = require('../utils/permissions');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load an active reply on a post the current user can see, or send a 404. Replies follow the
+// visibility of their post, and held replies are only found by their author and moderators.
+const findVisibleReply = async (req, res) => {
+  const reply = await Post.findReplyById(req.params.id);
+  const post = reply && reply.isActive ? await Post.findById(reply.postId, false, req.user) : null;
+  const isModerator = post && await can(req.user, 'moderation:view', post);
+  const visible = post
+    && post.isActive
+    && Post.isPublishedVisible(post, req.user)
+    && Post.isAudienceVisible(post, req.user)
+    && Post.isModerationVisible(post, req.user, isModerator)
+    && Post.isModerationVisible(reply, req.user, isModerator)
+    && await Course.canAccessCategory(req.user, post.categoryId);
+
+  if (!visible) {
+    res.status(404).json({ error: 'Reply not found' });
+    return null;
+  }
+
+  return reply;
+};
+
+// Report reply for moderation
+router.post('/:id/report', authenticateToken, [
+  body('reason').toUpperCase().isIn(Report.REASONS),
+  body('details').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const reply = await findVisibleReply(req, res);
+    if (!reply) return;
+
+    if (reply.authorId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot report your own reply' });
+    }
+
+    const existingReport = await Report.findByReporter(req.user.id, 'REPLY', reply.id);
+    if (existingReport) {
+      return res.status(400).json({ error: 'You have already reported this reply' });
+    }
+
+    const report = await Report.create({
+      reporterId: req.user.id,
+      targetType: 'REPLY',
+      replyId: reply.id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    res.status(201).json({
+      message: 'Report submitted successfully',
+      report
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
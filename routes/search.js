@@ -0,0 +1,54 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Search = require('../models/Search');
+const { parseSearchQuery } = require('../utils/search');
+const { optionalAuth } = require('../middleware/auth');
+const { offsetPage, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Search posts and replies the caller can see
+router.get('/', optionalAuth, [
+  query('q').trim().isLength({ min: 1, max: 200 }),
+  query('type').optional().isIn(['post', 'reply']),
+  query('category').optional().isString(),
+  query('author').optional().isString(),
+  query('role').optional().toUpperCase().isIn(['STUDENT', 'TEACHER', 'ADMIN']),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { q, type, category, author, role, from, to, page = 1, limit = 20 } = req.query;
+
+    const tsquery = parseSearchQuery(q);
+    if (!tsquery) {
+      return res.status(400).json({ error: 'Search query has no searchable words' });
+    }
+
+    const { results, total } = await Search.search(tsquery, {
+      type,
+      categoryId: category,
+      authorId: author,
+      role,
+      from,
+      to,
+      viewer: req.user
+    }, {
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    sendPage(req, res, 'results', offsetPage(results, total, { limit, page }));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Subscription = require('../models/Subscription');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadAvatar } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const { isValidCursor, parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+const { saveAvatar, removeAvatar, getAvatarStream } = require('../utils/avatars');
+const uploadConfig = require('../config/uploads');
 
 const router = express.Router();
 
@@ -32,14 +41,10 @@ router.put('/profile', authenticateToken, [
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
     if (bio !== undefined) updateData.bio = bio;
-    if (grade && req.user.role === 'student') updateData.grade = grade;
-    if (subject && req.user.role === 'teacher') updateData.subject = subject;
+    if (grade && req.user.role === 'STUDENT') updateData.grade = grade;
+    if (subject && req.user.role === 'TEACHER') updateData.subject = subject;
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const user = await User.findByIdAndUpdate(req.user.id, updateData);
 
     res.json({
       message: 'Profile updated successfully',
@@ -50,35 +55,173 @@ router.put('/profile', authenticateToken, [
   }
 });
 
-// Get all users (admin only)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+// Upload a new avatar (multipart field `avatar`); it replaces the current one
+router.put('/profile/avatar', authenticateToken, rateLimit('upload'), uploadAvatar, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
+
+  try {
+    const { avatarId, error } = await saveAvatar(req.user.id, req.file);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { avatar: avatarId });
+    if (req.user.avatar) {
+      await removeAvatar(req.user.id, req.user.avatar);
+    }
+
+    res.json({
+      message: 'Avatar updated successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove the current user's avatar
+router.delete('/profile/avatar', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.avatar) {
+      return res.status(404).json({ error: 'No avatar to remove' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { avatar: null });
+    await removeAvatar(req.user.id, req.user.avatar);
+
+    res.json({
+      message: 'Avatar removed successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List active sessions (devices) for the current user
+router.get('/profile/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.familyId === req.authSession.familyId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/profile/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await Session.revokeFamily(session.familyId);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List what the current user follows
+router.get('/profile/subscriptions', authenticateToken, [
+  query('type').optional().toUpperCase().isIn(Subscription.TARGET_TYPES),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const query = { userId: req.user.id };
+    if (req.query.type) query.targetType = req.query.type;
+
+    const page = await paginate(Subscription, query, parsePagination(req.query), { sortBy: 'createdAt' });
+
+    sendPage(req, res, 'subscriptions', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get all users
+router.get('/', authenticateToken, requirePermission('user:list'), [
+  query('role').optional().toUpperCase().isIn(['STUDENT', 'TEACHER', 'ADMIN']),
+  query('sortBy').optional().isIn(['createdAt', 'username']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().custom(isValidCursor)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { page = 1, limit = 10, role, search } = req.query;
+    const { role, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     const query = {};
     
     if (role) query.role = role;
     if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
+      query.OR = [
+        { username: { contains: search, mode: 'insensitive' } },
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
       ];
     }
 
-    const users = await User.find(query)
-      .select('-password')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const page = await paginate(User, query, parsePagination(req.query), { sortBy, sortOrder });
 
-    const total = await User.countDocuments(query);
+    sendPage(req, res, 'users', page);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Look up users whose username or name starts with `prefix`, for @mention autocomplete.
+// Only active users the caller can see are returned, and only their public profile.
+router.get('/search', authenticateToken, [
+  query('prefix').trim().isLength({ min: 1, max: 30 }),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const prefix = req.query.prefix.replace(/^@/, '');
+    const startsWith = { startsWith: prefix, mode: 'insensitive' };
+
+    const users = await User.find({
+      AND: [
+        { isActive: true },
+        Course.userFilter(req.user),
+        { OR: [{ username: startsWith }, { firstName: startsWith }, { lastName: startsWith }] }
+      ]
+    }, {
+      limit: req.query.limit || 10,
+      sort: { username: 1 }
+    });
 
     res.json({
-      users,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      users: users.map(user => ({
+        id: user.id,
+        username: user.username,
+        fullName: `${user.firstName} ${user.lastName}`,
+        role: user.role,
+        avatarUrls: user.avatarUrls
+      }))
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -88,30 +231,83 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
 // Get user by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password -email');
+    const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json({ user });
+
+    const { email, failedLoginAttempts, lockedUntil, ...profile } = user;
+    res.json({ user: profile });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get one size of a user's avatar (small, medium or large). Public, so it works in <img> tags;
+// the URL changes with every upload, so it can be cached indefinitely.
+router.get('/:id/avatar/:avatarId/:size', async (req, res) => {
+  try {
+    const size = uploadConfig.avatarSizes[req.params.size];
+    const user = size ? await User.findById(req.params.id) : null;
+    const stream = user && user.avatar === req.params.avatarId
+      ? await getAvatarStream(user.id, user.avatar, size)
+      : null;
+
+    if (!stream) {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.on('error', (error) => {
+      console.error(`Storage error reading avatar of user ${user.id}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update user status (admin only)
-router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+// Update user status
+router.patch('/:id/status', authenticateToken, requirePermission('user:status'), [
+  body('isActive').isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const { isActive } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { isActive },
-      { new: true }
-    ).select('-password');
 
-    if (!user) {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own status' });
+    }
+
+    const existingUser = await User.findById(req.params.id);
+    if (!existingUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive });
+
+    // Deactivated users are signed out everywhere
+    if (!isActive) {
+      await Session.revokeAllForUser(user.id);
+    }
+
+    await recordAudit(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user.id,
+      before: existingUser,
+      after: { isActive }
+    });
+
     res.json({
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
       user
@@ -121,4 +317,44 @@ router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Follow a user
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Subscription.subscribe(req.user.id, 'USER', user.id);
+
+    res.json({
+      message: 'User followed successfully',
+      isFollowing: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unfollow a user
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const found = await Subscription.unsubscribe(req.user.id, 'USER', req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      message: 'User unfollowed successfully',
+      isFollowing: false
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,38 @@
+// Send email digests of forum activity.
+// Usage: node scripts/digest.js --period daily|weekly [--force]
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const prisma = require('../config/database');
+const { DIGEST_FREQUENCIES, sendDigests } = require('../utils/digest');
+
+// Read the value following a --flag, if any
+const argValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const frequency = (argValue(args, '--period') || 'daily').toUpperCase();
+  const force = args.includes('--force');
+
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    console.error(`--period must be one of: ${DIGEST_FREQUENCIES.join(', ').toLowerCase()}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await sendDigests(frequency, { force });
+  console.log(`${frequency.toLowerCase()} digests: ${result.checked} users checked, ${result.sent} sent, ${result.failed} failed`);
+
+  if (result.failed > 0) process.exitCode = 1;
+};
+
+main()
+  .catch(error => {
+    console.error('Digest failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
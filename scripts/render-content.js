@@ -0,0 +1,92 @@
+// Render the cached HTML of posts and replies from their Markdown.
+// Usage: node scripts/render-content.js [--all] [--unescape-titles]
+//   --all              re-render everything, e.g. after changing utils/markdown.js
+//                      (by default only content that has never been rendered)
+//   --unescape-titles  undo the HTML escaping post titles used to be stored with; this is
+//                      only ever done once per post, so running it again is harmless
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const prisma = require('../config/database');
+const Post = require('../models/Post');
+const MaintenanceTask = require('../models/MaintenanceTask');
+const { renderMarkdown } = require('../utils/markdown');
+
+const BATCH_SIZE = 200;
+
+// Records how far title unescaping got, see models/MaintenanceTask.js
+const UNESCAPE_TITLES_TASK = 'unescape-titles';
+
+// Entities the old title validator wrote, in the order that reverses it
+const TITLE_ENTITIES = [
+  ['&lt;', '<'],
+  ['&gt;', '>'],
+  ['&quot;', '"'],
+  ['&#x27;', "'"],
+  ['&#x2F;', '/'],
+  ['&#x5C;', '\\'],
+  ['&#96;', '`'],
+  ['&amp;', '&']
+];
+
+const unescapeTitle = (title) => {
+  return TITLE_ENTITIES.reduce((text, [entity, char]) => text.split(entity).join(char), title);
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const all = args.includes('--all');
+  let fixTitles = args.includes('--unescape-titles');
+
+  // Pick up after the last post whose title was unescaped, so no title is unescaped twice
+  let titlesAfterId;
+  if (fixTitles) {
+    const task = await MaintenanceTask.findByName(UNESCAPE_TITLES_TASK);
+    if (task?.completedAt) {
+      console.log(`Titles were already unescaped on ${task.completedAt.toISOString()}, leaving them alone`);
+      fixTitles = false;
+    } else {
+      titlesAfterId = task?.lastId || undefined;
+    }
+  }
+
+  for (const type of ['post', 'reply']) {
+    let count = 0;
+    let afterId = fixTitles && type === 'post' ? titlesAfterId : undefined;
+
+    for (;;) {
+      const rows = await Post.findContentBatch(type, {
+        limit: BATCH_SIZE,
+        afterId,
+        // Titles live on every post, rendered or not
+        missingHtml: !all && !(fixTitles && type === 'post')
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const data = { contentHtml: renderMarkdown(row.content) };
+        if (fixTitles && row.title) data.title = unescapeTitle(row.title);
+
+        await Post.saveContentFields(type, row.id, data);
+        if (data.title !== undefined) await MaintenanceTask.saveProgress(UNESCAPE_TITLES_TASK, row.id);
+        count += 1;
+      }
+
+      afterId = rows[rows.length - 1].id;
+    }
+
+    console.log(`${type === 'post' ? 'Posts' : 'Replies'}: ${count} rendered`);
+  }
+
+  if (fixTitles) {
+    await MaintenanceTask.complete(UNESCAPE_TITLES_TASK);
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('Rendering failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -11,9 +11,27 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
+const searchRoutes = require('./routes/search');
+const replyRoutes = require('./routes/replies');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const feedRoutes = require('./routes/feed');
+const courseRoutes = require('./routes/courses');
+const attachmentRoutes = require('./routes/attachments');
+const { startDigestScheduler } = require('./utils/digest');
+const { startPostScheduler } = require('./utils/scheduledPosts');
+const { getStorage } = require('./utils/storage');
 
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For so rate limits count
+// clients rather than the proxy. TRUST_PROXY is the number of proxies in front of the API.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -37,6 +55,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/replies', replyRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -47,7 +74,16 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       posts: '/api/posts',
-      categories: '/api/categories'
+      categories: '/api/categories',
+      search: '/api/search',
+      replies: '/api/replies',
+      moderation: '/api/moderation',
+      admin: '/api/admin',
+      notifications: '/api/notifications',
+      events: '/api/events',
+      feed: '/api/feed',
+      courses: '/api/courses',
+      attachments: '/api/attachments'
     }
   });
 });
@@ -66,7 +102,18 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Set up file storage now, so a misconfigured driver stops the server before it takes requests
+getStorage();
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Send email digests from this process when enabled (otherwise run scripts/digest.js from cron)
+if (process.env.DIGEST_SCHEDULER === 'true') {
+  startDigestScheduler();
+}
+
+// Publish scheduled posts when they are due and unpin posts whose pin has expired
+startPostScheduler();
@@ -0,0 +1,82 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { filterContent } = require('../utils/contentFilter');
+
+const student = { id: 'student-1', role: 'STUDENT' };
+const teacher = { id: 'teacher-1', role: 'TEACHER' };
+
+let rules;
+let recentCount;
+
+beforeEach(() => {
+  rules = [];
+  recentCount = 0;
+  database.contentFilterRule = { findMany: async () => rules };
+  database.post = { count: async () => recentCount };
+  database.reply = { count: async () => recentCount };
+});
+
+const rule = (type, action, settings = {}) => ({ type, action, pattern: null, threshold: null, windowMinutes: null, ...settings });
+
+test('content breaking no rule is allowed as written', async () => {
+  rules = [rule('WORD', 'REJECT', { pattern: 'darn' })];
+  const fields = { title: 'Homework', content: 'Question about fractions' };
+
+  assert.deepEqual(await filterContent({ user: student, type: 'post', fields }), { action: 'ALLOW', fields, reasons: [] });
+});
+
+test('masking rules star out the words and still allow the content', async () => {
+  rules = [rule('WORD', 'MASK', { pattern: 'darn*' })];
+
+  const result = await filterContent({ user: student, type: 'reply', fields: { content: 'Darned  thing, darn it' } });
+  assert.equal(result.action, 'ALLOW');
+  assert.equal(result.fields.content, '******  thing, **** it');
+  assert.deepEqual(result.reasons, []);
+});
+
+test('words only match whole words', async () => {
+  rules = [rule('WORD', 'MASK', { pattern: 'ass' })];
+
+  const result = await filterContent({ user: student, type: 'reply', fields: { content: 'Our class assignment' } });
+  assert.equal(result.fields.content, 'Our class assignment');
+});
+
+test('the strongest action of the rules broken wins', async () => {
+  rules = [
+    rule('WORD', 'MASK', { pattern: 'darn' }),
+    rule('LINK', 'HOLD', { threshold: 1 }),
+    rule('WORD', 'HOLD', { pattern: 'spam' })
+  ];
+  const fields = { content: 'darn spam at https://a.example and www.b.example' };
+
+  const held = await filterContent({ user: student, type: 'post', fields });
+  assert.equal(held.action, 'HOLD');
+  assert.equal(held.fields.content, '**** spam at https://a.example and www.b.example');
+  assert.deepEqual(held.reasons, ['Contains more than 1 links', 'Contains language that is not allowed']);
+
+  rules.push(rule('WORD', 'REJECT', { pattern: 'spam' }));
+  assert.equal((await filterContent({ user: student, type: 'post', fields })).action, 'REJECT');
+});
+
+test('heuristic rules fall back to their default settings', async () => {
+  rules = [rule('LINK', 'HOLD'), rule('FLOOD', 'REJECT')];
+  const fields = { content: 'https://a.example https://b.example' };
+
+  assert.equal((await filterContent({ user: student, type: 'post', fields })).action, 'ALLOW');
+
+  recentCount = 3;
+  const result = await filterContent({ user: student, type: 'post', fields });
+  assert.equal(result.action, 'REJECT');
+  assert.deepEqual(result.reasons, ['Posting too often, please slow down']);
+
+  // Edits don't count as flooding
+  assert.equal((await filterContent({ user: student, type: 'post', fields, targetId: 'post-1' })).action, 'ALLOW');
+});
+
+test('users with content:unfiltered are never filtered', async () => {
+  rules = [rule('WORD', 'REJECT', { pattern: 'darn' })];
+  const fields = { content: 'darn' };
+
+  assert.deepEqual(await filterContent({ user: teacher, type: 'post', fields }), { action: 'ALLOW', fields, reasons: [] });
+});
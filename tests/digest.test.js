@@ -0,0 +1,99 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const Digest = require('../models/Digest');
+const emails = require('../utils/emails');
+
+// Swap the email out before utils/digest picks it up
+const sentEmails = [];
+emails.sendDigestEmail = async (user, digest, frequency) => sentEmails.push({ userId: user.id, frequency });
+const { sendDigests } = require('../utils/digest');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-03-02T08:00:00Z');
+
+// `users` are returned in id order, `digests` maps user ids to what they would be sent
+const stubDigest = ({ users, digests = {}, batchSize = 100 }) => {
+  const calls = { findDueUsers: [], gather: [], markSent: [] };
+
+  Digest.findDueUsers = async (frequency, dueBefore, { afterId } = {}) => {
+    calls.findDueUsers.push({ frequency, dueBefore, afterId });
+    const start = afterId ? users.findIndex(user => user.id === afterId) + 1 : 0;
+    return users.slice(start, start + batchSize);
+  };
+  Digest.gather = async (user, since) => {
+    calls.gather.push({ userId: user.id, since });
+    if (digests[user.id] instanceof Error) throw digests[user.id];
+    return digests[user.id] || { newPosts: [], replies: [], announcements: [] };
+  };
+  Digest.markSent = async (userId, sentAt) => calls.markSent.push({ userId, sentAt });
+
+  return calls;
+};
+
+const withPost = { newPosts: [{ id: 'post-1' }], replies: [], announcements: [] };
+
+beforeEach(() => {
+  sentEmails.length = 0;
+});
+
+test('only users with new activity are emailed, but everyone is marked sent', async () => {
+  const calls = stubDigest({
+    users: [{ id: 'a', lastDigestAt: null }, { id: 'b', lastDigestAt: null }],
+    digests: { a: withPost }
+  });
+
+  const result = await sendDigests('DAILY', { now });
+
+  assert.deepEqual(result, { checked: 2, sent: 1, failed: 0 });
+  assert.deepEqual(sentEmails, [{ userId: 'a', frequency: 'DAILY' }]);
+  assert.deepEqual(calls.markSent.map(call => call.userId), ['a', 'b']);
+  assert.equal(calls.markSent[0].sentAt, now);
+});
+
+test('digests cover activity since the last one, or one period back', async () => {
+  const lastDigestAt = new Date(now.getTime() - 30 * HOUR);
+  const calls = stubDigest({ users: [{ id: 'a', lastDigestAt }, { id: 'b', lastDigestAt: null }] });
+
+  await sendDigests('WEEKLY', { now });
+
+  assert.equal(calls.gather[0].since, lastDigestAt);
+  assert.equal(calls.gather[1].since.getTime(), now.getTime() - 7 * 24 * HOUR);
+});
+
+test('users are due an hour before a full period has passed unless forced', async () => {
+  let calls = stubDigest({ users: [] });
+  await sendDigests('DAILY', { now });
+  assert.equal(calls.findDueUsers[0].dueBefore.getTime(), now.getTime() - 23 * HOUR);
+
+  calls = stubDigest({ users: [] });
+  await sendDigests('DAILY', { now, force: true });
+  assert.equal(calls.findDueUsers[0].dueBefore, now);
+});
+
+test('users are fetched in batches after the last id seen', async () => {
+  const users = Array.from({ length: 250 }, (_, index) => ({ id: `user-${String(index).padStart(3, '0')}` }));
+  const calls = stubDigest({ users });
+
+  const result = await sendDigests('DAILY', { now });
+
+  assert.equal(result.checked, 250);
+  assert.deepEqual(calls.findDueUsers.map(call => call.afterId), [undefined, 'user-099', 'user-199', 'user-249']);
+});
+
+test('a failing user is counted and the rest still get their digest', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const calls = stubDigest({
+    users: [{ id: 'a' }, { id: 'b' }],
+    digests: { a: new Error('boom'), b: withPost }
+  });
+
+  const result = await sendDigests('DAILY', { now });
+
+  assert.deepEqual(result, { checked: 2, sent: 1, failed: 1 });
+  assert.deepEqual(calls.markSent.map(call => call.userId), ['b']);
+});
+
+test('unknown frequencies are rejected', async () => {
+  await assert.rejects(sendDigests('HOURLY', { now }), /Unknown digest frequency: HOURLY/);
+});
@@ -0,0 +1,15 @@
+// Stand-in for config/database.js, so models load without a database or a generated Prisma
+// client. Require it before anything that uses the database, then give it the model methods
+// a test needs, e.g. `database.session = { findUnique: async () => session }`.
+const databasePath = require.resolve('../../config/database');
+
+const database = {};
+
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: database
+};
+
+module.exports = database;
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const { MAX_MENTIONS, maskCode, findMentions, mentionedUsernames, findHashtags } = require('../utils/mentions');
+
+test('maskCode blanks code but keeps every offset', () => {
+  const source = 'Use `@Override` here\n```java\n#include <x>\n```\nthen @alice';
+  const masked = maskCode(source);
+
+  assert.equal(masked.length, source.length);
+  assert.equal(masked.split('\n').length, source.split('\n').length);
+  assert.ok(!masked.includes('@Override'));
+  assert.ok(!masked.includes('#include'));
+  assert.ok(masked.endsWith('then @alice'));
+});
+
+test('maskCode blanks an unclosed code fence to the end', () => {
+  assert.equal(maskCode('```\n@alice'), '   \n      ');
+});
+
+test('findMentions gives spans into the source', () => {
+  const source = 'Thanks @alice and @bob.';
+  const mentions = findMentions(source);
+
+  assert.deepEqual(mentions.map(mention => mention.username), ['alice', 'bob']);
+  mentions.forEach(({ username, start, end }) => assert.equal(source.slice(start, end), `@${username}`));
+});
+
+test('findMentions skips email addresses, URLs and code', () => {
+  assert.deepEqual(findMentions('mail bob@example.com or see https://x.org/@carol and `@dave`'), []);
+});
+
+test('mentionedUsernames drops repeats and stops at the limit', () => {
+  assert.deepEqual(mentionedUsernames('@alice @alice @bob'), ['alice', 'bob']);
+
+  const many = Array.from({ length: MAX_MENTIONS + 5 }, (_, index) => `@user${index}`).join(' ');
+  assert.equal(mentionedUsernames(many).length, MAX_MENTIONS);
+});
+
+test('findHashtags lowercases tags and ignores entities and code', () => {
+  const source = 'About #Algebra &#35; and `#include`';
+  const tags = findHashtags(source);
+
+  assert.deepEqual(tags.map(hashtag => hashtag.tag), ['algebra']);
+  assert.equal(source.slice(tags[0].start, tags[0].end), '#Algebra');
+});
+
+test('editing a reply to add a mention notifies the mentioned user', async (t) => {
+  const users = {
+    alice: { id: 'user-alice', username: 'alice', firstName: 'Alice', lastName: 'A', isActive: true, grade: '7' }
+  };
+  const post = {
+    id: 'post-1', authorId: 'author', categoryId: 'category-1', title: 'Homework',
+    status: 'PUBLISHED', audience: 'GRADE', audienceGrade: '7'
+  };
+  const reply = {
+    id: 'reply-1', postId: 'post-1', authorId: 'bob', content: 'Thanks', isActive: true,
+    moderationStatus: 'APPROVED', author: { id: 'bob', username: 'bob', firstName: 'Bob', lastName: 'B' }
+  };
+  let mentions = [];
+
+  database.reply = {
+    update: async ({ data }) => Object.assign(reply, data, { likes: [], attachments: [], _count: { children: 0 } })
+  };
+  database.post = {
+    findUnique: async ({ select }) => select
+      ? Object.fromEntries(Object.keys(select).map(field => [field, post[field]]))
+      : { ...post }
+  };
+  database.user = { findUnique: async ({ where }) => users[where.username] || null };
+  database.category = { count: async () => 1 };
+  database.mention = {
+    findMany: async ({ where }) => mentions
+      .filter(mention => where.notified === undefined || mention.notified === where.notified)
+      .map(mention => ({ ...mention, user: users[mention.username] })),
+    deleteMany: async () => {},
+    createMany: async ({ data }) => {
+      data.forEach(({ userId }) => mentions.push({
+        id: `mention-${mentions.length + 1}`,
+        userId,
+        username: Object.keys(users).find(name => users[name].id === userId),
+        notified: false
+      }));
+    },
+    updateMany: async ({ where }) => {
+      mentions = mentions.map(mention => where.id.in.includes(mention.id) ? { ...mention, notified: true } : mention);
+    }
+  };
+  database.$transaction = async (operations) => Promise.all(operations);
+  const notify = t.mock.method(Notification, 'notify', async () => {});
+
+  const updated = await Post.updateReply('reply-1', { content: 'Thanks @alice' });
+
+  assert.deepEqual(notify.mock.calls.map(call => call.arguments[0]), [
+    { userId: 'user-alice', actorId: 'bob', type: 'MENTION', postId: 'post-1', replyId: 'reply-1' }
+  ]);
+  assert.deepEqual(updated.mentions.map(mention => mention.userId), ['user-alice']);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, isValidCursor, parsePagination, paginate } = require('../utils/pagination');
+
+// A model over an in-memory list that understands the filters paginate builds
+const fakeModel = (rows) => {
+  const compare = (value, condition) => Object.entries(condition).every(([op, bound]) => (
+    op === 'gt' ? value > bound : value < bound
+  ));
+  const matches = (row, filter) => {
+    if (filter.AND) return filter.AND.every(part => matches(row, part));
+    if (filter.OR) return filter.OR.some(part => matches(row, part));
+    return Object.entries(filter).every(([field, condition]) => (
+      typeof condition === 'object' ? compare(row[field], condition) : row[field] === condition
+    ));
+  };
+
+  return {
+    async find(filters, { limit, skip = 0, sort }) {
+      const [[field, order]] = Object.entries(sort);
+      return rows
+        .filter(row => matches(row, filters))
+        .sort((a, b) => ((a[field] - b[field]) || a.id.localeCompare(b.id)) * order)
+        .slice(skip, skip + limit);
+    },
+    async count(filters) {
+      return rows.filter(row => matches(row, filters)).length;
+    }
+  };
+};
+
+const rows = Array.from({ length: 7 }, (_, index) => ({ id: `p${index + 1}`, score: index + 1 }));
+const ids = (page) => page.items.map(row => row.id);
+
+test('cursors decode to what was encoded', () => {
+  const cursor = encodeCursor({ id: 'p3', score: 3 }, 'score', 'prev');
+  assert.deepEqual(decodeCursor(cursor), { v: 3, id: 'p3', d: 'prev' });
+});
+
+test('malformed cursors are rejected', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(Buffer.from(JSON.stringify({ v: 1, id: 'p1', d: 'up' })).toString('base64url')), null);
+  assert.throws(() => isValidCursor('not a cursor'), /Invalid cursor/);
+  assert.equal(isValidCursor(''), true);
+});
+
+test('parsePagination picks cursor mode only when a cursor is passed', () => {
+  assert.deepEqual(parsePagination({ page: '3', limit: '5' }), { mode: 'offset', limit: 5, page: 3, skip: 10 });
+  assert.deepEqual(parsePagination({ cursor: '', limit: '5' }), { mode: 'cursor', limit: 5, cursor: null });
+});
+
+test('paginate walks forward and back through cursor pages in the same order', async () => {
+  const Model = fakeModel(rows);
+  const options = { sortBy: 'score', sortOrder: 'desc' };
+
+  const first = await paginate(Model, {}, { mode: 'cursor', limit: 3, cursor: null }, options);
+  assert.deepEqual(ids(first), ['p7', 'p6', 'p5']);
+  assert.equal(first.pagination.prevCursor, null);
+
+  const second = await paginate(Model, {}, { mode: 'cursor', limit: 3, cursor: decodeCursor(first.pagination.nextCursor) }, options);
+  assert.deepEqual(ids(second), ['p4', 'p3', 'p2']);
+
+  // Going back flips the query order, but the page comes back in list order
+  const back = await paginate(Model, {}, { mode: 'cursor', limit: 3, cursor: decodeCursor(second.pagination.prevCursor) }, options);
+  assert.deepEqual(ids(back), ['p7', 'p6', 'p5']);
+  assert.equal(back.pagination.prevCursor, null);
+  assert.deepEqual(decodeCursor(back.pagination.nextCursor), decodeCursor(first.pagination.nextCursor));
+
+  const last = await paginate(Model, {}, { mode: 'cursor', limit: 3, cursor: decodeCursor(second.pagination.nextCursor) }, options);
+  assert.deepEqual(ids(last), ['p1']);
+  assert.equal(last.pagination.nextCursor, null);
+});
+
+test('paginate counts offset pages', async () => {
+  const page = await paginate(fakeModel(rows), {}, { mode: 'offset', limit: 3, page: 3, skip: 6 }, { sortBy: 'score' });
+  assert.deepEqual(ids(page), ['p1']);
+  assert.deepEqual(page.pagination, { mode: 'offset', limit: 3, page: 3, totalPages: 3, total: 7 });
+});
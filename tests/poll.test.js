@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const Poll = require('../models/Poll');
+
+const voter = (id) => ({ id, username: id, firstName: 'First', lastName: id });
+
+// A poll on a post by `author` where `alice` voted for option o1 and `bob` for o2
+const makePoll = (settings = {}) => ({
+  id: 'poll-1',
+  allowMultiple: false,
+  isAnonymous: false,
+  resultsVisibility: 'ALWAYS',
+  closesAt: null,
+  options: [{ id: 'o1', text: 'Monday' }, { id: 'o2', text: 'Tuesday' }],
+  votes: [
+    { userId: 'alice', optionId: 'o1', user: voter('alice') },
+    { userId: 'bob', optionId: 'o2', user: voter('bob') }
+  ],
+  ...settings
+});
+
+test('results are shown straight away for ALWAYS polls', () => {
+  const poll = Poll.toJSON(makePoll(), { viewerId: 'carol', authorId: 'author' });
+
+  assert.equal(poll.resultsVisible, true);
+  assert.equal(poll.voterCount, 2);
+  assert.deepEqual(poll.options.map(option => option.voteCount), [1, 1]);
+  assert.deepEqual(poll.options[0].voters, [{ id: 'alice', username: 'alice', fullName: 'First alice' }]);
+  assert.equal(poll.hasVoted, false);
+});
+
+test('AFTER_VOTE polls hide results until the viewer has voted', () => {
+  const before = Poll.toJSON(makePoll({ resultsVisibility: 'AFTER_VOTE' }), { viewerId: 'carol', authorId: 'author' });
+  assert.equal(before.resultsVisible, false);
+  assert.equal(before.voterCount, undefined);
+  before.options.forEach(option => {
+    assert.equal(option.voteCount, undefined);
+    assert.equal(option.voters, undefined);
+  });
+
+  const after = Poll.toJSON(makePoll({ resultsVisibility: 'AFTER_VOTE' }), { viewerId: 'alice', authorId: 'author' });
+  assert.equal(after.resultsVisible, true);
+  assert.deepEqual(after.myVotes, ['o1']);
+});
+
+test('AFTER_CLOSE polls hide results until they close, except from the author', () => {
+  const open = makePoll({ resultsVisibility: 'AFTER_CLOSE', closesAt: new Date(Date.now() + 60000) });
+  assert.equal(Poll.toJSON(open, { viewerId: 'alice', authorId: 'author' }).resultsVisible, false);
+  assert.equal(Poll.toJSON(open, { viewerId: 'author', authorId: 'author' }).resultsVisible, true);
+  assert.equal(Poll.toJSON(open, { authorId: 'author' }).resultsVisible, false);
+
+  const closed = makePoll({ resultsVisibility: 'AFTER_CLOSE', closesAt: new Date(Date.now() - 60000) });
+  const poll = Poll.toJSON(closed, { authorId: 'author' });
+  assert.equal(poll.isClosed, true);
+  assert.equal(poll.resultsVisible, true);
+});
+
+test('anonymous polls never list voters', () => {
+  const poll = Poll.toJSON(makePoll({ isAnonymous: true }), { viewerId: 'author', authorId: 'author' });
+
+  assert.deepEqual(poll.options.map(option => option.voteCount), [1, 1]);
+  poll.options.forEach(option => assert.equal(option.voters, undefined));
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const { publishingFields, announcementFields } = require('../utils/postFields');
+
+const student = { id: 'student-1', role: 'STUDENT', grade: '10th' };
+const teacher = { id: 'teacher-1', role: 'TEACHER' };
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+// A response that records the error sent, if any
+const fakeResponse = () => ({
+  sent: null,
+  status(code) {
+    this.code = code;
+    return this;
+  },
+  json(body) {
+    this.sent = { code: this.code, ...body };
+    return this;
+  }
+});
+
+const run = (fields, user, body, existing) => {
+  const res = fakeResponse();
+  const result = fields({ user, body }, res, existing);
+  return { result, sent: res.sent };
+};
+
+test('new posts are published unless told otherwise', () => {
+  assert.deepEqual(run(publishingFields, student, {}).result, { status: 'PUBLISHED', publishAt: undefined });
+});
+
+test('giving only publishAt schedules the post', () => {
+  assert.deepEqual(run(publishingFields, teacher, { publishAt: tomorrow }).result, { status: 'SCHEDULED', publishAt: tomorrow });
+});
+
+test('drafts have no publishing time', () => {
+  const existing = { status: 'SCHEDULED', publishAt: tomorrow };
+  assert.deepEqual(run(publishingFields, teacher, { status: 'DRAFT' }, existing).result, { status: 'DRAFT', publishAt: null });
+});
+
+test('scheduled posts keep their publishing time unless given a new one', () => {
+  const existing = { status: 'SCHEDULED', publishAt: tomorrow };
+  assert.deepEqual(run(publishingFields, teacher, { status: 'SCHEDULED' }, existing).result, { status: 'SCHEDULED', publishAt: tomorrow });
+});
+
+test('publishing rules are enforced', () => {
+  const cases = [
+    [student, { status: 'DRAFT' }, undefined, 403, 'Not authorized to save drafts or schedule posts'],
+    [teacher, { status: 'SCHEDULED' }, undefined, 400, 'Scheduled posts need a publishAt time'],
+    [teacher, { status: 'DRAFT', publishAt: tomorrow }, undefined, 400, 'publishAt can only be set on scheduled posts'],
+    [teacher, { status: 'DRAFT' }, { status: 'PUBLISHED' }, 400, 'Published posts cannot be turned back into drafts']
+  ];
+
+  cases.forEach(([user, body, existing, code, error]) => {
+    const { result, sent } = run(publishingFields, user, body, existing);
+    assert.equal(result, null);
+    assert.deepEqual(sent, { code, error });
+  });
+});
+
+test('discussions have no audience', () => {
+  assert.deepEqual(run(announcementFields, student, {}).result, { type: 'DISCUSSION' });
+  assert.deepEqual(run(announcementFields, teacher, { audience: 'SCHOOL' }).sent, { code: 400, error: 'Only announcements have an audience' });
+});
+
+test('announcements are for the whole school unless told otherwise', () => {
+  assert.deepEqual(run(announcementFields, teacher, { type: 'ANNOUNCEMENT' }).result, {
+    type: 'ANNOUNCEMENT',
+    audience: 'SCHOOL',
+    audienceGrade: null
+  });
+});
+
+test('grade announcements need a grade, and only they have one', () => {
+  const body = { type: 'ANNOUNCEMENT', audience: 'GRADE', audienceGrade: '10th' };
+  assert.deepEqual(run(announcementFields, teacher, body).result, { type: 'ANNOUNCEMENT', audience: 'GRADE', audienceGrade: '10th' });
+
+  assert.deepEqual(run(announcementFields, teacher, { type: 'ANNOUNCEMENT', audience: 'GRADE' }).sent, {
+    code: 400,
+    error: 'Grade announcements need an audienceGrade'
+  });
+  assert.deepEqual(run(announcementFields, teacher, { type: 'ANNOUNCEMENT', audienceGrade: '10th' }).sent, {
+    code: 400,
+    error: 'audienceGrade can only be set on grade announcements'
+  });
+});
+
+test('editing an announcement keeps its type and grade', () => {
+  const existing = { type: 'ANNOUNCEMENT', audience: 'GRADE', audienceGrade: '10th' };
+  assert.deepEqual(run(announcementFields, teacher, { audience: 'GRADE' }, existing).result, existing);
+});
+
+test('students cannot post announcements', () => {
+  assert.deepEqual(run(announcementFields, student, { type: 'ANNOUNCEMENT' }).sent, {
+    code: 403,
+    error: 'Not authorized to post announcements'
+  });
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimitConfig = require('../config/rateLimits');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Run a request through a limit; resolves to the response status, 200 if it got through
+const send = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    set: () => res,
+    status: (code) => ({ json: () => resolve(code) })
+  };
+  middleware(req, res, () => resolve(200));
+});
+
+const statuses = async (middleware, requests) => {
+  const results = [];
+  for (const req of requests) results.push(await send(middleware, req));
+  return results;
+};
+
+const { max } = rateLimitConfig.limits.accountEmail;
+const repeat = (count, req) => Array.from({ length: count }, () => req);
+
+test('account email requests are counted per IP and email', async () => {
+  const limit = rateLimit('accountEmail');
+  const ip = '10.0.0.1';
+
+  const results = await statuses(limit, [
+    ...repeat(max, { ip, body: { email: 'sam@school.test' } }),
+    { ip, body: { email: ' SAM@school.test ' } },
+    { ip, body: { email: 'ada@school.test' } }
+  ]);
+
+  assert.deepEqual(results, [...repeat(max, 200), 429, 200]);
+});
+
+test('account email requests are counted per IP and token', async () => {
+  const limit = rateLimit('accountEmail');
+  const ip = '10.0.0.2';
+
+  const results = await statuses(limit, [
+    ...repeat(max + 1, { ip, body: { token: 'token-1' } }),
+    { ip, body: { token: 'token-2' } },
+    { ip: '10.0.0.3', body: { token: 'token-1' } }
+  ]);
+
+  assert.deepEqual(results, [...repeat(max, 200), 429, 200, 200]);
+});
+
+test('signed-in account email requests are counted per user', async () => {
+  const limit = rateLimit('accountEmail');
+
+  const results = await statuses(limit, [
+    ...repeat(max, { ip: '10.0.0.4', user: { id: 'user-1' }, body: {} }),
+    { ip: '10.0.0.5', user: { id: 'user-1' }, body: {} },
+    { ip: '10.0.0.4', user: { id: 'user-2' }, body: {} }
+  ]);
+
+  assert.deepEqual(results, [...repeat(max, 200), 429, 200]);
+});
+
+test('a classroom on one IP shares the larger per-IP limit', async () => {
+  const limit = rateLimit('accountEmailIp');
+  const ip = '10.0.0.6';
+  const classMax = rateLimitConfig.limits.accountEmailIp.max;
+
+  const requests = Array.from({ length: classMax + 1 }, (_, index) => ({ ip, body: { email: `student${index}@school.test` } }));
+  const results = await statuses(limit, requests);
+
+  assert.ok(classMax > max);
+  assert.deepEqual(results, [...repeat(classMax, 200), 429]);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/database');
+const Post = require('../models/Post');
+const { publishPostEvent, subscribe } = require('../utils/realtime');
+
+// Collect the events published on a post's channel and its category's channel
+const listen = (t) => {
+  const events = [];
+  const stop = subscribe(['post:post-1', 'category:category-1'], event => events.push(event.type));
+  t.after(stop);
+  return events;
+};
+
+const post = { id: 'post-1', categoryId: 'category-1', status: 'PUBLISHED', moderationStatus: 'APPROVED', audience: null };
+
+test('events about live posts reach the post and category channels', (t) => {
+  const events = listen(t);
+
+  publishPostEvent(post, 'post.liked', { likeCount: 1 });
+
+  assert.deepEqual(events, ['post.liked', 'post.liked']);
+});
+
+test('nothing is published about drafts or posts held for review', (t) => {
+  const events = listen(t);
+
+  publishPostEvent({ ...post, status: 'DRAFT' }, 'post.updated', {});
+  publishPostEvent({ ...post, moderationStatus: 'PENDING' }, 'reply.created', {});
+  publishPostEvent({ ...post, moderationStatus: 'REJECTED' }, 'reply.created', {});
+
+  assert.deepEqual(events, []);
+});
+
+test('reply events leave out why the content filter held a reply', () => {
+  const reply = Post.replyToJSON({
+    id: 'reply-1', postId: 'post-1', parentId: null, depth: 0, authorId: 'bob', content: 'Hi #maths',
+    isActive: true, moderationStatus: 'APPROVED', filterReasons: ['link'],
+    author: { id: 'bob', username: 'bob', firstName: 'Bob', lastName: 'B', email: 'bob@school.test' },
+    likes: [{ userId: 'alice' }], _count: { children: 2 }
+  });
+
+  const event = Post.replyToEventJSON(reply);
+
+  assert.equal(event.filterReasons, undefined);
+  assert.equal(event.author.email, undefined);
+  assert.deepEqual([event.likeCount, event.replyCount], [1, 2]);
+  assert.deepEqual(event.hashtags.map(hashtag => hashtag.tag), ['maths']);
+});
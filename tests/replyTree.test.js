@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const Post = require('../models/Post');
+
+const author = { id: 'bob', username: 'bob', firstName: 'Bob', lastName: 'B' };
+
+// Replies of post-1 in creation order; `held` ones are pending review
+const replies = [
+  { id: 'r1', parentId: null, authorId: 'bob', isActive: false },
+  { id: 'r2', parentId: 'r1', authorId: 'bob' },
+  { id: 'r3', parentId: 'r1', authorId: 'carol', held: true },
+  { id: 'r4', parentId: 'r1', authorId: 'bob' }
+].map(reply => ({
+  postId: 'post-1',
+  content: `Reply ${reply.id}`,
+  isActive: true,
+  moderationStatus: reply.held ? 'PENDING' : 'APPROVED',
+  author: { ...author, id: reply.authorId },
+  likes: [],
+  attachments: [],
+  mentions: [],
+  ...reply
+}));
+
+// Matches the where clauses findReplyTree builds: parentId (or `in`) plus the moderation filter
+const matches = (reply, where) => Object.entries(where).every(([field, value]) => {
+  if (field === 'moderationStatus') return reply.moderationStatus === value;
+  if (field === 'parentId' && value && value.in) return value.in.includes(reply.parentId);
+  return field === 'postId' ? reply.postId === value : reply[field] === value;
+});
+
+const stubReplies = () => {
+  database.reply = {
+    findMany: async ({ where, take, skip = 0, include }) => replies
+      .filter(reply => matches(reply, where))
+      .slice(skip, take === undefined ? undefined : skip + take)
+      .map(reply => ({
+        ...reply,
+        _count: {
+          children: replies.filter(child => child.parentId === reply.id
+            && matches(child, include._count.select.children.where || {})).length
+        }
+      })),
+    count: async ({ where }) => replies.filter(reply => matches(reply, where)).length
+  };
+};
+
+test('deleted replies stay in the tree without their author', async () => {
+  stubReplies();
+
+  const { replies: tree } = await Post.findReplyTree('post-1', { filter: Post.moderationFilter(null) });
+  const [placeholder] = tree;
+
+  assert.equal(placeholder.id, 'r1');
+  assert.equal(placeholder.content, null);
+  assert.equal(placeholder.authorId, null);
+  assert.equal(placeholder.author, null);
+  assert.deepEqual(placeholder.replies.map(reply => reply.author.username), ['bob', 'bob']);
+});
+
+test('reply counts leave out replies the viewer cannot see', async () => {
+  stubReplies();
+
+  const { replies: [root] } = await Post.findReplyTree('post-1', { filter: Post.moderationFilter(null), childLimit: 1 });
+
+  assert.equal(root.replyCount, 2);
+  assert.equal(root.collapsedCount, 1);
+  assert.deepEqual(root.replies.map(reply => reply.id), ['r2']);
+
+  const { replies: [moderatorRoot] } = await Post.findReplyTree('post-1', { filter: Post.moderationFilter(null, true), childLimit: 1 });
+
+  assert.equal(moderatorRoot.replyCount, 3);
+  assert.equal(moderatorRoot.collapsedCount, 2);
+});
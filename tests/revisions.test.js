@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const PostRevision = require('../models/PostRevision');
+const { diffText, diffTags } = require('../utils/diff');
+
+test('word diffs keep the text around a change', () => {
+  assert.deepEqual(diffText('The cat sat down', 'The dog sat down'), [
+    { type: 'equal', value: 'The ' },
+    { type: 'delete', value: 'cat' },
+    { type: 'insert', value: 'dog' },
+    { type: 'equal', value: ' sat down' }
+  ]);
+});
+
+test('line diffs compare whole lines', () => {
+  assert.deepEqual(diffText('one\ntwo\nthree\n', 'one\n2\nthree\n', 'line'), [
+    { type: 'equal', value: 'one\n' },
+    { type: 'delete', value: 'two\n' },
+    { type: 'insert', value: '2\n' },
+    { type: 'equal', value: 'three\n' }
+  ]);
+});
+
+test('diffs join back into the texts they compare', () => {
+  const before = 'Homework is due on Monday, not Friday.';
+  const after = 'Homework is now due on Tuesday.';
+  const chunks = diffText(before, after);
+
+  assert.equal(chunks.filter(chunk => chunk.type !== 'insert').map(chunk => chunk.value).join(''), before);
+  assert.equal(chunks.filter(chunk => chunk.type !== 'delete').map(chunk => chunk.value).join(''), after);
+});
+
+test('tag diffs list what was added and removed', () => {
+  assert.deepEqual(diffTags(['maths', 'help'], ['maths', 'algebra']), { added: ['algebra'], removed: ['help'] });
+  assert.deepEqual(diffTags(undefined, ['maths']), { added: ['maths'], removed: [] });
+});
+
+test('the first edit stores the original as revision 1', async () => {
+  const created = [];
+  const locked = [];
+  database.$transaction = (work) => work({
+    $queryRaw: async (strings, ...values) => locked.push(values[0]),
+    postRevision: {
+      count: async () => created.length,
+      create: async ({ data }) => {
+        created.push(data);
+        return { ...data, id: `revision-${created.length}`, editor: null };
+      }
+    }
+  });
+
+  const before = { authorId: 'author-1', title: 'Old', content: 'Old text', tags: [], createdAt: new Date(0) };
+  const after = { title: 'New', content: 'New text', tags: ['maths'] };
+
+  const first = await PostRevision.record({ postId: 'post-1', editorId: 'teacher-1', before, after });
+  assert.deepEqual(created.map(revision => [revision.number, revision.editorId, revision.content]), [
+    [1, 'author-1', 'Old text'],
+    [2, 'teacher-1', 'New text']
+  ]);
+  assert.equal(first.number, 2);
+
+  const second = await PostRevision.record({ postId: 'post-1', editorId: 'author-1', before: after, after: { ...after, content: 'Newer' } });
+  assert.equal(second.number, 3);
+  assert.equal(created.length, 3);
+
+  // Each edit locks the post so concurrent edits can't take the same number
+  assert.deepEqual(locked, ['post-1', 'post-1']);
+});
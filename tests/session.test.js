@@ -0,0 +1,107 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const Session = require('../models/Session');
+const { hashToken } = require('../utils/tokens');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+let sessions;
+let revokedFamilies;
+
+// Sessions kept in memory. Transactions run one at a time, as the claimed row stays locked
+// until the transaction ends, on a copy that is only kept if they succeed.
+beforeEach(() => {
+  sessions = [];
+  revokedFamilies = [];
+  let lastTransaction = Promise.resolve();
+
+  const sessionTable = (rows) => ({
+    async findUnique({ where }) {
+      return rows().find(session => session.tokenHash === where.tokenHash) || null;
+    },
+    async create({ data }) {
+      const session = { id: `session-${rows().length + 1}`, replacedById: null, revokedAt: null, ...data };
+      rows().push(session);
+      return session;
+    },
+    async updateMany({ where, data }) {
+      if (where.familyId) revokedFamilies.push(where.familyId);
+      const matching = rows().filter(session => Object.entries(where).every(([field, value]) => session[field] === value));
+      matching.forEach(session => Object.assign(session, data));
+      return { count: matching.length };
+    }
+  });
+
+  database.session = sessionTable(() => sessions);
+  database.$transaction = (work) => {
+    const run = async () => {
+      const draft = sessions.map(session => ({ ...session }));
+      const result = await work({ session: sessionTable(() => draft) });
+      sessions = draft;
+      return result;
+    };
+    const transaction = lastTransaction.then(run);
+    lastTransaction = transaction.catch(() => {});
+    return transaction;
+  };
+});
+
+const addSession = (token, fields = {}) => {
+  const session = {
+    id: `session-${sessions.length + 1}`,
+    userId: 'user-1',
+    familyId: 'family-1',
+    tokenHash: hashToken(token),
+    replacedById: null,
+    revokedAt: null,
+    expiresAt: inAnHour(),
+    ...fields
+  };
+  sessions.push(session);
+  return session;
+};
+
+test('rotating a token replaces it with a new one in the same family', async () => {
+  const old = addSession('first-token');
+
+  const next = await Session.rotate('first-token');
+  assert.ok(next.refreshToken);
+  assert.notEqual(next.refreshToken, 'first-token');
+  assert.equal(next.session.familyId, 'family-1');
+  assert.equal(sessions.find(session => session.id === old.id).replacedById, next.session.id);
+  assert.deepEqual(revokedFamilies, []);
+});
+
+test('presenting a rotated token revokes its whole family', async () => {
+  addSession('first-token', { replacedById: 'session-2' });
+  addSession('second-token');
+
+  assert.deepEqual(await Session.rotate('first-token'), { error: 'Refresh token reuse detected' });
+  assert.deepEqual(revokedFamilies, ['family-1']);
+  assert.ok(sessions.every(session => session.revokedAt));
+});
+
+test('of two rotations of the same token only one succeeds', async () => {
+  addSession('first-token');
+  // Both requests read the session before either has claimed it
+  const findUnique = database.session.findUnique;
+  const seen = await findUnique({ where: { tokenHash: hashToken('first-token') } });
+  database.session.findUnique = async () => ({ ...seen });
+
+  const results = await Promise.all([Session.rotate('first-token'), Session.rotate('first-token')]);
+
+  assert.equal(results.filter(result => result.refreshToken).length, 1);
+  assert.deepEqual(results.find(result => result.error), { error: 'Refresh token reuse detected' });
+  assert.deepEqual(revokedFamilies, ['family-1']);
+  // The losing request's session was rolled back
+  assert.equal(sessions.length, 2);
+});
+
+test('unknown and expired tokens are refused', async () => {
+  addSession('old-token', { expiresAt: new Date(Date.now() - 1000) });
+
+  assert.deepEqual(await Session.rotate('no-such-token'), { error: 'Invalid refresh token' });
+  assert.deepEqual(await Session.rotate('old-token'), { error: 'Refresh token expired' });
+  assert.equal(sessions.length, 1);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { parseCsv } = require('../utils/csv');
+const { MAX_IMPORT_ROWS, parseUserCsv, validateUserRows } = require('../utils/userImport');
+
+test('CSV values can be quoted around commas, quotes and newlines', () => {
+  const text = '\uFEFFname,note\r\n"Lee, Sam","said ""hi""\nthen left"\r\n\r\nAda,\n';
+
+  assert.deepEqual(parseCsv(text), [
+    ['name', 'note'],
+    ['Lee, Sam', 'said "hi"\nthen left'],
+    ['Ada', '']
+  ]);
+  assert.throws(() => parseCsv('name\n"Lee'), /Unterminated quoted value/);
+});
+
+test('import headers are matched loosely and grade/subject follows the role', () => {
+  const { rows } = parseUserCsv([
+    'User Name,E-mail Address,Given Name,Surname,Role,Grade/Subject',
+    'sam,SAM@School.test,Sam,Lee,,7',
+    'ms_ada,ada@school.test,Ada,King,teacher,Maths'
+  ].join('\n'));
+
+  assert.deepEqual(rows, [
+    {
+      row: 2,
+      data: { username: 'sam', email: 'sam@school.test', firstName: 'Sam', lastName: 'Lee', role: 'STUDENT', grade: '7', subject: undefined },
+      errors: []
+    },
+    {
+      row: 3,
+      data: { username: 'ms_ada', email: 'ada@school.test', firstName: 'Ada', lastName: 'King', role: 'TEACHER', grade: undefined, subject: 'Maths' },
+      errors: []
+    }
+  ]);
+});
+
+test('unusable import files are rejected', () => {
+  assert.deepEqual(parseUserCsv('username,email,firstName,lastName\n'), {
+    error: 'The CSV needs a header row and at least one user'
+  });
+  assert.deepEqual(parseUserCsv('username,email\nsam,sam@school.test'), {
+    error: 'Missing required columns: firstName, lastName'
+  });
+  assert.deepEqual(parseUserCsv('username,email\n"sam'), { error: 'Invalid CSV: Unterminated quoted value' });
+
+  const tooMany = ['username,email,firstName,lastName']
+    .concat(Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, index) => `user${index},user${index}@school.test,A,B`));
+  assert.deepEqual(parseUserCsv(tooMany.join('\n')), { error: `An import can contain at most ${MAX_IMPORT_ROWS} users` });
+});
+
+test('rows are checked against each other and existing users', async () => {
+  let where;
+  database.user = {
+    findMany: async (query) => {
+      where = query.where;
+      return [{ username: 'taken', email: 'other@school.test', firstName: 'T', lastName: 'U' }];
+    }
+  };
+
+  const { rows } = parseUserCsv([
+    'username,email,firstName,lastName,role,grade',
+    'sam,sam@school.test,Sam,Lee,student,7',
+    'sam,lee@school.test,Lee,Sam,student,7',
+    'taken,SAM@school.test,Tao,Wu,student,8',
+    'al,not-an-email,,Smith,student,'
+  ].join('\n'));
+
+  await validateUserRows(rows);
+
+  const errors = rows.map(({ errors }) => errors.map(error => error.message));
+  assert.deepEqual(errors, [
+    [],
+    ['Username is repeated from row 2'],
+    ['Email is repeated from row 2', 'Username already taken'],
+    [
+      'Username must be 3 to 30 characters',
+      'A valid email is required',
+      'First name is required',
+      'Grade is required for students'
+    ]
+  ]);
+
+  // Existing users are looked up once for every distinct username and email
+  assert.deepEqual(where.OR, [
+    { username: { in: ['sam', 'taken', 'al'] } },
+    { email: { in: ['sam@school.test', 'lee@school.test', 'not-an-email'] } }
+  ]);
+});
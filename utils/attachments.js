@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const uploadConfig = require('../config/uploads');
+const { detectFileType } = require('./fileType');
+const { getStorage } = require('./storage');
+
+// Storage keys don't reveal the original file name: attachments/2024/05/<random>.png
+const newStorageKey = (extension) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `attachments/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+};
+
+// Keep only the base name of an uploaded file, without control characters
+const cleanFilename = (name) => {
+  const base = path.basename(String(name || '')).replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+};
+
+// Check an uploaded file and work out what to store: its sniffed type and, for images, the
+// dimensions and a JPEG thumbnail. Returns { error } for files that can't be attached.
+const prepareFile = async (file) => {
+  const filename = cleanFilename(file.originalname);
+  const type = detectFileType(file.buffer);
+  if (!type) {
+    return { error: `${filename}: only JPEG, PNG, GIF, WebP and PDF files can be attached` };
+  }
+
+  const prepared = { file, filename, type };
+  if (!type.isImage) return prepared;
+
+  try {
+    const metadata = await sharp(file.buffer).metadata();
+    // Photos taken sideways are stored unrotated with an EXIF orientation of 5-8
+    const sideways = metadata.orientation >= 5;
+    prepared.width = sideways ? metadata.height : metadata.width;
+    prepared.height = sideways ? metadata.width : metadata.height;
+
+    const size = uploadConfig.thumbnailSize;
+    prepared.thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    return { error: `${filename}: the image could not be read` };
+  }
+
+  return prepared;
+};
+
+// Remove stored files, logging failures so they don't hide the original error
+const removeFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      console.error(`Storage error removing ${key}:`, error);
+    }
+  }
+};
+
+// Check and store uploaded files as attachments of a post, or of a reply with `replyId`.
+// Nothing is stored unless every file is acceptable. Returns { attachments } or { errors }.
+const saveAttachments = async (files, { postId, replyId = null, uploaderId }) => {
+  // One file at a time, to keep decoded images from piling up in memory
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareFile(file));
+  }
+
+  const errors = prepared.filter(item => item.error).map(item => item.error);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const storage = getStorage();
+  const storedKeys = [];
+  const attachments = [];
+
+  try {
+    for (const { file, filename, type, width, height, thumbnail } of prepared) {
+      const storageKey = newStorageKey(type.extension);
+      await storage.put(storageKey, file.buffer, type.mimeType);
+      storedKeys.push(storageKey);
+
+      let thumbnailKey = null;
+      if (thumbnail) {
+        thumbnailKey = storageKey.replace(/\.\w+$/, '-thumb.jpg');
+        await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+        storedKeys.push(thumbnailKey);
+      }
+
+      attachments.push(await Attachment.create({
+        postId,
+        replyId,
+        uploaderId,
+        filename,
+        mimeType: type.mimeType,
+        size: file.size,
+        width,
+        height,
+        storageKey,
+        thumbnailKey
+      }));
+    }
+  } catch (error) {
+    // Undo the part of the upload that went through
+    for (const attachment of attachments) {
+      await Attachment.findByIdAndDelete(attachment.id).catch(() => {});
+    }
+    await removeFiles(storedKeys);
+    throw error;
+  }
+
+  return { attachments };
+};
+
+// Delete an attachment and its stored files
+const deleteAttachment = async (attachment) => {
+  await Attachment.findByIdAndDelete(attachment.id);
+  await removeFiles([attachment.storageKey, attachment.thumbnailKey].filter(Boolean));
+};
+
+module.exports = {
+  saveAttachments,
+  deleteAttachment
+};
@@ -0,0 +1,38 @@
+const AuditLog = require('../models/AuditLog');
+
+// Compare the fields of `after` with `before`, keeping only those that changed
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+
+  Object.keys(after).forEach(field => {
+    if (after[field] === undefined) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { before: before[field] ?? null, after: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+// Record a privileged action taken by the current user.
+// Failures are logged instead of thrown so the action itself still completes.
+const recordAudit = async (req, { action, targetType, targetId, before, after }) => {
+  try {
+    await AuditLog.create({
+      actorId: req.user.id,
+      action,
+      targetType,
+      targetId,
+      changes: diff(before, after),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  diff,
+  recordAudit
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const uploadConfig = require('../config/uploads');
+const { detectFileType } = require('./fileType');
+const { getStorage } = require('./storage');
+
+// Each upload gets a new id, so avatar URLs never change content and can be cached for good
+const avatarKey = (userId, avatarId, size) => `avatars/${userId}/${avatarId}-${size}.webp`;
+
+// Check an uploaded avatar image and store it, cropped square, in every avatar size.
+// Returns { avatarId } or { error }.
+const saveAvatar = async (userId, file) => {
+  const type = detectFileType(file.buffer);
+  if (!type || !type.isImage) {
+    return { error: 'Avatars must be JPEG, PNG, GIF or WebP images' };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    return { error: 'The image could not be read' };
+  }
+
+  const { avatarMinDimension: min, avatarMaxDimension: max } = uploadConfig;
+  if (metadata.width < min || metadata.height < min) {
+    return { error: `Avatars must be at least ${min}×${min} pixels` };
+  }
+  if (metadata.width > max || metadata.height > max) {
+    return { error: `Avatars can be at most ${max}×${max} pixels` };
+  }
+
+  const avatarId = crypto.randomBytes(8).toString('hex');
+  const storedKeys = [];
+
+  try {
+    for (const size of Object.values(uploadConfig.avatarSizes)) {
+      const image = await sharp(file.buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .webp({ quality: 85 })
+        .toBuffer();
+
+      const key = avatarKey(userId, avatarId, size);
+      await getStorage().put(key, image, 'image/webp');
+      storedKeys.push(key);
+    }
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => getStorage().remove(key).catch(() => {})));
+    throw error;
+  }
+
+  return { avatarId };
+};
+
+// Remove every stored size of an avatar; failures are logged so they don't undo the change
+const removeAvatar = async (userId, avatarId) => {
+  for (const size of Object.values(uploadConfig.avatarSizes)) {
+    const key = avatarKey(userId, avatarId, size);
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      console.error(`Storage error removing ${key}:`, error);
+    }
+  }
+};
+
+// Get a readable stream of one size of an avatar, or null if it isn't stored
+const getAvatarStream = (userId, avatarId, size) => {
+  return getStorage().getStream(avatarKey(userId, avatarId, size));
+};
+
+module.exports = {
+  saveAvatar,
+  removeAvatar,
+  getAvatarStream
+};
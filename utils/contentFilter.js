@@ -0,0 +1,118 @@
+const ContentFilterRule = require('../models/ContentFilterRule');
+const Post = require('../models/Post');
+const { hasPermission } = require('./permissions');
+
+// Settings used when a heuristic rule leaves its threshold or window empty
+const RULE_DEFAULTS = {
+  LINK: { threshold: 2 },
+  DUPLICATE: { windowMinutes: 60 },
+  FLOOD: { threshold: 5, windowMinutes: 10 }
+};
+
+// Actions from weakest to strongest; content gets the strongest action of the rules it breaks
+const ACTION_STRENGTH = ['ALLOW', 'MASK', 'HOLD', 'REJECT'];
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Word rules match whole words in any letter case, with any spacing between the words of a
+// phrase; `*` at the end of a pattern matches any ending, so `darn*` also catches "darned"
+const wordPattern = (pattern) => {
+  const escaped = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\\\*$/, '[\\p{L}\\p{N}]*')
+    .replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Check content against one rule; returns why it was caught, or null
+const checkRule = async (rule, { user, type, fields, targetId }) => {
+  const threshold = rule.threshold ?? RULE_DEFAULTS[rule.type]?.threshold;
+  const windowMinutes = rule.windowMinutes ?? RULE_DEFAULTS[rule.type]?.windowMinutes;
+  const text = Object.values(fields).filter(Boolean).join('\n');
+
+  switch (rule.type) {
+    case 'WORD':
+      return wordPattern(rule.pattern).test(text) ? 'Contains language that is not allowed' : null;
+
+    case 'LINK': {
+      const links = (text.match(LINK_PATTERN) || []).length;
+      return links > threshold ? `Contains more than ${threshold} links` : null;
+    }
+
+    case 'DUPLICATE': {
+      if (!fields.content) return null;
+      const copies = await Post.countRecentByAuthor(type, user.id, minutesAgo(windowMinutes), {
+        content: fields.content,
+        excludeId: targetId
+      });
+      return copies > 0 ? 'Repeats something you posted recently' : null;
+    }
+
+    case 'FLOOD': {
+      // Only new content counts towards flooding, not edits
+      if (targetId) return null;
+      const since = minutesAgo(windowMinutes);
+      const recent = await Post.countRecentByAuthor('post', user.id, since)
+        + await Post.countRecentByAuthor('reply', user.id, since);
+      return recent >= threshold ? 'Posting too often, please slow down' : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Star out the words caught by masking rules, keeping their length
+const maskWords = (fields, rules) => {
+  const masked = { ...fields };
+  Object.keys(masked).forEach(field => {
+    if (!masked[field]) return;
+    rules.forEach(rule => {
+      masked[field] = masked[field].replace(wordPattern(rule.pattern), match => '*'.repeat(match.length));
+    });
+  });
+  return masked;
+};
+
+// Run new or edited content of a post or reply (`type` 'post' or 'reply') through the active
+// filter rules. `fields` holds the text to check, e.g. { title, content }; pass `targetId` when
+// editing. Users with `content:unfiltered` are never filtered.
+// Returns { action, fields, reasons }: `action` is ALLOW, HOLD or REJECT, and `fields` has any
+// masked words starred out.
+const filterContent = async ({ user, type, fields, targetId = null }) => {
+  if (hasPermission(user, 'content:unfiltered')) {
+    return { action: 'ALLOW', fields, reasons: [] };
+  }
+
+  const rules = await ContentFilterRule.findActive();
+  let strongest = 'ALLOW';
+  const reasons = new Set();
+  const maskRules = [];
+
+  for (const rule of rules) {
+    const reason = await checkRule(rule, { user, type, fields, targetId });
+    if (!reason) continue;
+
+    if (rule.action === 'MASK') {
+      maskRules.push(rule);
+    } else {
+      reasons.add(reason);
+    }
+    if (ACTION_STRENGTH.indexOf(rule.action) > ACTION_STRENGTH.indexOf(strongest)) {
+      strongest = rule.action;
+    }
+  }
+
+  return {
+    action: strongest === 'MASK' ? 'ALLOW' : strongest,
+    fields: maskWords(fields, maskRules),
+    reasons: [...reasons]
+  };
+};
+
+module.exports = {
+  RULE_DEFAULTS,
+  filterContent
+};
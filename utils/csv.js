@@ -0,0 +1,78 @@
+// Quote a value for CSV output when it contains a delimiter, quote or newline.
+// Text starting with a formula character is prefixed so spreadsheets don't evaluate it.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn a list of rows into CSV using the given columns ({ header, value(row) })
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into a list of rows, each a list of values. Handles quoted values with
+// embedded commas, quotes and newlines, CRLF line endings and a leading byte order mark.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  const endValue = () => {
+    row.push(value);
+    value = '';
+  };
+  const endRow = () => {
+    endValue();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value');
+  }
+  endRow();
+
+  return rows;
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,94 @@
+// Largest LCS table we are willing to build; bigger inputs fall back to line granularity
+const MAX_CELLS = 4000000;
+
+// Split text into diffable tokens, keeping whitespace so the parts join back into the text
+const tokenize = (text, mode) => {
+  if (!text) return [];
+  return mode === 'line' ? text.split(/(?<=\n)/) : text.split(/(\s+)/).filter(Boolean);
+};
+
+// Longest-common-subsequence diff of two token lists
+const diffTokens = (a, b) => {
+  // Trim the shared prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+  const lengths = Array.from({ length: rows }, () => new Uint32Array(cols));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      parts.push({ type: 'equal', value: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ type: 'delete', value: midA[i++] });
+    } else {
+      parts.push({ type: 'insert', value: midB[j++] });
+    }
+  }
+  while (i < midA.length) parts.push({ type: 'delete', value: midA[i++] });
+  while (j < midB.length) parts.push({ type: 'insert', value: midB[j++] });
+  a.slice(endA).forEach(value => parts.push({ type: 'equal', value }));
+
+  return parts;
+};
+
+// Merge neighbouring parts of the same type into single chunks
+const mergeParts = (parts) => {
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+      last.value += part.value;
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+};
+
+// Diff two texts by word (default) or line.
+// Returns chunks of { type: 'equal' | 'insert' | 'delete', value }.
+const diffText = (before, after, mode = 'word') => {
+  let a = tokenize(before || '', mode);
+  let b = tokenize(after || '', mode);
+
+  if (mode === 'word' && a.length * b.length > MAX_CELLS) {
+    a = tokenize(before || '', 'line');
+    b = tokenize(after || '', 'line');
+  }
+
+  return mergeParts(diffTokens(a, b));
+};
+
+// Compare two tag lists
+const diffTags = (before = [], after = []) => ({
+  added: after.filter(tag => !before.includes(tag)),
+  removed: before.filter(tag => !after.includes(tag))
+});
+
+module.exports = {
+  diffText,
+  diffTags
+};
@@ -0,0 +1,90 @@
+const Digest = require('../models/Digest');
+const { sendDigestEmail } = require('./emails');
+
+// How much activity each digest frequency covers
+const PERIODS = {
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000
+};
+
+// Users whose last digest is almost a full period old are due too, so an hourly
+// scheduler doesn't push each digest back by an hour every day
+const DUE_SLACK = 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+// Send digests to every user due one at this frequency.
+// With `force`, users get one even if their last digest was recent.
+// Returns counts of users checked, emails sent and failures.
+const sendDigests = async (frequency, { force = false, now = new Date() } = {}) => {
+  const period = PERIODS[frequency];
+  if (!period) {
+    throw new Error(`Unknown digest frequency: ${frequency}`);
+  }
+
+  const dueBefore = force ? now : new Date(now.getTime() - period + DUE_SLACK);
+  const result = { checked: 0, sent: 0, failed: 0 };
+
+  let afterId;
+  for (;;) {
+    const users = await Digest.findDueUsers(frequency, dueBefore, { limit: BATCH_SIZE, afterId });
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      result.checked += 1;
+      try {
+        const since = user.lastDigestAt || new Date(now.getTime() - period);
+        const digest = await Digest.gather(user, since);
+
+        if (!Digest.isEmpty(digest)) {
+          await sendDigestEmail(user, digest, frequency);
+          result.sent += 1;
+        }
+        await Digest.markSent(user.id, now);
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Digest error for user ${user.id}:`, error);
+      }
+    }
+
+    afterId = users[users.length - 1].id;
+  }
+
+  return result;
+};
+
+// Check for due digests every hour (or DIGEST_INTERVAL_MINUTES) inside the server process.
+// Returns a function that stops the scheduler.
+const startDigestScheduler = () => {
+  const interval = (parseInt(process.env.DIGEST_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const frequency of Object.keys(PERIODS)) {
+        const result = await sendDigests(frequency);
+        if (result.sent || result.failed) {
+          console.log(`${frequency} digests: ${result.sent} sent, ${result.failed} failed`);
+        }
+      }
+    } catch (error) {
+      console.error('Digest scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES: Object.keys(PERIODS),
+  sendDigests,
+  startDigestScheduler
+};
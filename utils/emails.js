@@ -0,0 +1,136 @@
+const { sendMail } = require('./mailer');
+const { toPlainText } = require('./markdown');
+
+// Escape user-supplied values before putting them in HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Build a link into the frontend app
+const appLink = (pathname, token) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return token ? `${baseUrl}${pathname}?token=${encodeURIComponent(token)}` : `${baseUrl}${pathname}`;
+};
+
+// Shorten long text for previews
+const truncate = (text, length = 200) => {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+};
+
+// Ask a new user to confirm their email address
+const sendVerificationEmail = (user, token) => {
+  const link = appLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your School Forum email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 48 hours.</p>`
+  });
+};
+
+// Send a password reset link
+const sendPasswordResetEmail = (user, token) => {
+  const link = appLink('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your School Forum password',
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Someone asked to reset your password. If it was you, open this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+// Invite a user whose account an admin created to choose a password
+const sendInviteEmail = (user, token) => {
+  const link = appLink('/accept-invite', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your School Forum account is ready',
+    text: `Hi ${user.firstName},\n\nA School Forum account has been created for you with the username ${user.username}. To start using it, choose a password by opening this link:\n${link}\n\nThe link expires in 7 days.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>A School Forum account has been created for you with the username <strong>${escapeHtml(user.username)}</strong>. To start using it, choose a password by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 7 days.</p>`
+  });
+};
+
+// Tell an author that a moderator has warned them about their content
+const sendModerationWarningEmail = (user, note) => {
+  const reason = note ? `\n\nModerator's note: ${note}` : '';
+  const htmlReason = note ? `<p>Moderator's note: ${escapeHtml(note)}</p>` : '';
+
+  return sendMail({
+    to: user.email,
+    subject: 'A warning about your School Forum content',
+    text: `Hi ${user.firstName},\n\nA moderator reviewed content you posted on the School Forum and issued a warning. Please review the forum rules before posting again.${reason}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>A moderator reviewed content you posted on the School Forum and issued a warning. Please review the forum rules before posting again.</p>${htmlReason}`
+  });
+};
+
+// Send a digest of forum activity gathered by models/Digest.js
+const sendDigestEmail = (user, digest, frequency) => {
+  const periodName = frequency === 'WEEKLY' ? 'weekly' : 'daily';
+  const postLink = (postId) => appLink(`/posts/${postId}`);
+
+  const sections = [
+    {
+      title: 'Announcements',
+      items: digest.announcements.map(post => ({
+        text: `${post.title} (${post.category.name})`,
+        link: postLink(post.id)
+      }))
+    },
+    {
+      title: 'Replies to your posts',
+      items: digest.replies.map(reply => ({
+        text: `${reply.author.fullName} on "${reply.post.title}": ${truncate(toPlainText(reply.content))}`,
+        link: postLink(reply.post.id)
+      }))
+    },
+    {
+      title: 'New posts in categories you follow',
+      items: digest.newPosts.map(post => ({
+        text: `${post.title} by ${post.author.fullName} (${post.category.name})`,
+        link: postLink(post.id)
+      }))
+    }
+  ].filter(section => section.items.length > 0);
+
+  const settingsLink = appLink('/settings/notifications');
+
+  const text = [
+    `Hi ${user.firstName},`,
+    `Here's what happened on the School Forum since ${digest.since.toDateString()}.`,
+    ...sections.map(section => [
+      section.title,
+      ...section.items.map(item => `- ${item.text}\n  ${item.link}`)
+    ].join('\n')),
+    `To change how often you get this email, visit ${settingsLink}`
+  ].join('\n\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.firstName)},</p>`,
+    `<p>Here's what happened on the School Forum since ${escapeHtml(digest.since.toDateString())}.</p>`,
+    ...sections.map(section => `<h3>${escapeHtml(section.title)}</h3><ul>${section.items
+      .map(item => `<li><a href="${item.link}">${escapeHtml(item.text)}</a></li>`)
+      .join('')}</ul>`),
+    `<p><a href="${settingsLink}">Change how often you get this email</a></p>`
+  ].join('');
+
+  return sendMail({
+    to: user.email,
+    subject: `Your ${periodName} School Forum digest`,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail,
+  sendModerationWarningEmail,
+  sendDigestEmail
+};
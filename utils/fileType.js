@@ -0,0 +1,47 @@
+// File types attachments may have, recognised by the first bytes of the file.
+// The type a client claims (Content-Type or file extension) is never trusted.
+const FILE_TYPES = [
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimeType: 'image/gif',
+    extension: 'gif',
+    matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'application/pdf',
+    extension: 'pdf',
+    matches: (buffer) => buffer.toString('ascii', 0, 5) === '%PDF-'
+  }
+];
+
+// Detect the type of a file from its contents.
+// Returns { mimeType, extension, isImage }, or null for types that aren't allowed.
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(fileType => fileType.matches(buffer));
+  if (!type) return null;
+
+  return {
+    mimeType: type.mimeType,
+    extension: type.extension,
+    isImage: type.mimeType.startsWith('image/')
+  };
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES: FILE_TYPES.map(type => type.mimeType),
+  detectFileType
+};
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to a JSON file so mail can be inspected without a mail server.
+// HTML bodies are also written next to it as an .html file for previewing in a browser.
+const createOutboxTransport = (dir) => ({
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(dir, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+    if (message.html) {
+      await fs.writeFile(path.join(dir, `${id}.html`), message.html);
+    }
+
+    return { id, file };
+  }
+});
+
+// Sends through an SMTP server; nodemailer is only loaded when this transport is used
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+let transport;
+
+// Pick the transport from MAIL_TRANSPORT (defaults to the local outbox)
+const getTransport = () => {
+  if (!transport) {
+    transport = process.env.MAIL_TRANSPORT === 'smtp'
+      ? createSmtpTransport()
+      : createOutboxTransport(path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox'));
+  }
+  return transport;
+};
+
+// Replace the active transport (useful in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email with a plain-text body and optional HTML alternative
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'School Forum <no-reply@school-forum.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createOutboxTransport
+};
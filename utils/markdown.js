@@ -0,0 +1,119 @@
+const MarkdownIt = require('markdown-it');
+const texmath = require('markdown-it-texmath');
+const katex = require('katex');
+const sanitizeHtml = require('sanitize-html');
+
+// Formats post and reply content can be read in (see formatContent)
+const CONTENT_FORMATS = ['markdown', 'html', 'text'];
+
+// HTML typed into a post is shown as text rather than interpreted; single newlines are kept,
+// as students write them expecting line breaks
+const MARKDOWN_OPTIONS = { html: false, linkify: true, breaks: true };
+
+// $inline$ and $$block$$ TeX is rendered to MathML, which browsers display without any
+// client-side script or stylesheet
+const markdown = new MarkdownIt(MARKDOWN_OPTIONS).use(texmath, {
+  engine: katex,
+  delimiters: 'dollars',
+  katexOptions: { output: 'mathml', throwOnError: false }
+});
+
+// Without the math plugin, so plain text keeps TeX as it was typed
+const plainMarkdown = new MarkdownIt(MARKDOWN_OPTIONS);
+
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose'
+];
+
+const MATHML_ATTRIBUTES = [
+  'mathvariant', 'mathcolor', 'mathbackground', 'stretchy', 'fence', 'separator', 'symmetric',
+  'largeop', 'movablelimits', 'accent', 'accentunder', 'lspace', 'rspace', 'minsize', 'maxsize',
+  'width', 'height', 'depth', 'voffset', 'linethickness', 'notation', 'scriptlevel', 'displaystyle',
+  'columnalign', 'columnspacing', 'rowspacing', 'rowalign', 'columnlines', 'rowlines', 'frame'
+];
+
+const TEXT_ALIGN = { 'text-align': [/^(left|right|center)$/] };
+
+// Everything the renderer produces that may reach a browser. Anything else is dropped.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del', ...MATHML_TAGS],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    span: ['class', 'title'],
+    div: ['class'],
+    th: ['style'],
+    td: ['style'],
+    ol: ['start'],
+    math: ['xmlns', 'display'],
+    annotation: ['encoding'],
+    ...Object.fromEntries(MATHML_TAGS.filter(tag => tag !== 'math' && tag !== 'annotation').map(tag => [tag, MATHML_ATTRIBUTES]))
+  },
+  allowedClasses: {
+    code: ['language-*'],
+    span: ['katex', 'katex-error', 'math-inline'],
+    div: ['math-block']
+  },
+  allowedStyles: {
+    th: TEXT_ALIGN,
+    td: TEXT_ALIGN
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' }),
+    // The math plugin wraps formulas in its own elements
+    eq: () => ({ tagName: 'span', attribs: { class: 'math-inline' } }),
+    eqn: () => ({ tagName: 'div', attribs: { class: 'math-block' } })
+  }
+};
+
+// Render Markdown source to sanitized HTML
+const renderMarkdown = (source) => {
+  if (source === null || source === undefined) return null;
+  return sanitizeHtml(markdown.render(source), SANITIZE_OPTIONS);
+};
+
+// Markdown source as plain text (for previews, emails and search snippets)
+const toPlainText = (source) => {
+  if (source === null || source === undefined) return null;
+
+  // Keep block elements on their own lines once tags are stripped
+  const html = plainMarkdown.render(source).replace(/<\/(p|li|h[1-6]|pre|blockquote|tr)>|<br\s*\/?>/g, '$&\n');
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Give a post or reply (and any nested `replies`) its content in one format: `markdown`
+// (the stored source), `html` (the cached rendering) or `text`. `contentHtml` is left out,
+// since `content` now holds the format that was asked for.
+const formatContent = (item, format) => {
+  if (!item || !format) return item;
+
+  const { contentHtml, ...result } = item;
+  if (format === 'html') result.content = contentHtml;
+  if (format === 'text') result.content = toPlainText(item.content);
+  if (Array.isArray(item.replies)) {
+    result.replies = item.replies.map(reply => formatContent(reply, format));
+  }
+
+  return result;
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderMarkdown,
+  toPlainText,
+  formatContent
+};
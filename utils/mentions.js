@@ -0,0 +1,56 @@
+// Most distinct users a single post or reply can mention; the rest are left as plain text
+const MAX_MENTIONS = 20;
+
+// @username, not preceded by a character that would make it part of an email address or URL
+const MENTION_PATTERN = /(^|[^\w@./])@([A-Za-z0-9_][A-Za-z0-9_.-]{2,29})/g;
+
+// #tag, not preceded by a character that would make it part of an HTML entity or link anchor
+const HASHTAG_PATTERN = /(^|[^\w&#/])#([A-Za-z][A-Za-z0-9_-]{0,49})/g;
+
+// Blank out fenced and inline code with spaces, so code samples like `@Override` or
+// `#include` aren't read as mentions or tags while every offset stays the same
+const maskCode = (source) => {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+  return source
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?(^\1[^\n]*$|(?![\s\S]))/gm, blank)
+    .replace(/`[^`\n]+`/g, blank);
+};
+
+// Spans of a pattern in Markdown source, as { start, end, name } with offsets into the
+// source. A trailing `.` or `-` (the end of a sentence) isn't part of the name.
+const findSpans = (source, pattern) => {
+  if (!source) return [];
+
+  const masked = maskCode(source);
+  const spans = [];
+  for (const match of masked.matchAll(pattern)) {
+    const name = match[2].replace(/[.-]+$/, '');
+    const start = match.index + match[1].length;
+    spans.push({ start, end: start + 1 + name.length, name });
+  }
+
+  return spans;
+};
+
+// @mentions in Markdown source, as { username, start, end } spans
+const findMentions = (source) => {
+  return findSpans(source, MENTION_PATTERN).map(({ name, start, end }) => ({ username: name, start, end }));
+};
+
+// The distinct usernames mentioned in Markdown source, at most MAX_MENTIONS of them
+const mentionedUsernames = (source) => {
+  return [...new Set(findMentions(source).map(span => span.username))].slice(0, MAX_MENTIONS);
+};
+
+// #tags in Markdown source, as { tag, start, end } spans; tags are lowercased
+const findHashtags = (source) => {
+  return findSpans(source, HASHTAG_PATTERN).map(({ name, start, end }) => ({ tag: name.toLowerCase(), start, end }));
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  maskCode,
+  findMentions,
+  mentionedUsernames,
+  findHashtags
+};
@@ -0,0 +1,177 @@
+const forumConfig = require('../config/forum');
+
+// Map a { field: 1 | -1 } sort to a Prisma orderBy, tie-breaking on id so pages are stable
+const toOrderBy = (sort) => {
+  if (!sort) return undefined;
+
+  const orderBy = Object.entries(sort).map(([key, value]) => ({ [key]: value === 1 ? 'asc' : 'desc' }));
+  if (!('id' in sort)) {
+    orderBy.push({ id: Object.values(orderBy[orderBy.length - 1])[0] });
+  }
+  return orderBy;
+};
+
+// Cursors are opaque to clients: base64url JSON holding the sort value, id and direction
+const encodeCursor = (item, sortBy, direction) => {
+  return Buffer.from(JSON.stringify({ v: item[sortBy], id: item.id, d: direction })).toString('base64url');
+};
+
+// Decode a cursor, returning null if it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !['next', 'prev'].includes(decoded.d)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// express-validator check for the `cursor` query parameter (empty means first page)
+const isValidCursor = (value) => {
+  if (value === '' || decodeCursor(value)) return true;
+  throw new Error('Invalid cursor');
+};
+
+// Read limit/page/cursor from the query string.
+// Passing `cursor` (even empty) selects cursor mode; otherwise offset mode is used.
+const parsePagination = (query, defaults = {}) => {
+  const requested = parseInt(query.limit, 10) || defaults.limit || forumConfig.defaultPageSize;
+  const limit = Math.min(Math.max(requested, 1), forumConfig.maxPageSize);
+
+  if (query.cursor !== undefined) {
+    return { mode: 'cursor', limit, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { mode: 'offset', limit, page, skip: (page - 1) * limit };
+};
+
+// Keyset condition selecting rows after the cursor in the given order
+const afterCursor = (sortBy, order, cursor) => {
+  const op = order === 1 ? 'gt' : 'lt';
+  return {
+    OR: [
+      { [sortBy]: { [op]: cursor.v } },
+      { [sortBy]: cursor.v, id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+// Fetch one page from a model with a static find(filters, options) and count(filters).
+// Returns { items, pagination } for sendPage.
+const paginate = async (Model, filters, pagination, { sortBy, sortOrder = 'desc', findOptions = {} }) => {
+  const order = sortOrder === 'asc' ? 1 : -1;
+
+  if (pagination.mode === 'offset') {
+    const [items, total] = await Promise.all([
+      Model.find(filters, {
+        ...findOptions,
+        limit: pagination.limit,
+        skip: pagination.skip,
+        sort: { [sortBy]: order }
+      }),
+      Model.count(filters)
+    ]);
+
+    return {
+      items,
+      pagination: {
+        mode: 'offset',
+        limit: pagination.limit,
+        page: pagination.page,
+        totalPages: Math.ceil(total / pagination.limit),
+        total
+      }
+    };
+  }
+
+  // Walking backwards reverses the order, then the page is flipped back
+  const { cursor, limit } = pagination;
+  const backward = Boolean(cursor) && cursor.d === 'prev';
+  const queryOrder = backward ? -order : order;
+
+  const rows = await Model.find(
+    cursor ? { AND: [filters, afterCursor(sortBy, queryOrder, cursor)] } : filters,
+    { ...findOptions, limit: limit + 1, sort: { [sortBy]: queryOrder } }
+  );
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backward) items.reverse();
+
+  const hasNext = backward ? true : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], sortBy, 'next') : null,
+      prevCursor: hasPrev && items.length ? encodeCursor(items[0], sortBy, 'prev') : null
+    }
+  };
+};
+
+// Wrap an already fetched offset page (for lists that don't go through paginate)
+const offsetPage = (items, total, { limit, page }) => ({
+  items,
+  pagination: {
+    mode: 'offset',
+    limit,
+    page,
+    totalPages: Math.ceil(total / limit),
+    total
+  }
+});
+
+// Build an absolute URL to the current endpoint with some query parameters replaced
+const pageUrl = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  if ('cursor' in params) url.searchParams.delete('page');
+  return url.toString();
+};
+
+// Send a page as { [key]: items, pagination } with RFC 8288 Link headers, plus any `extra`
+// fields. Offset pages also keep the legacy top-level totalPages/currentPage/total fields.
+const sendPage = (req, res, key, { items, pagination }, extra = {}) => {
+  const links = {};
+
+  if (pagination.mode === 'cursor') {
+    if (pagination.nextCursor) links.next = pageUrl(req, { cursor: pagination.nextCursor });
+    if (pagination.prevCursor) links.prev = pageUrl(req, { cursor: pagination.prevCursor });
+  } else {
+    const lastPage = Math.max(pagination.totalPages, 1);
+    links.first = pageUrl(req, { page: 1 });
+    if (pagination.page > 1) links.prev = pageUrl(req, { page: Math.min(pagination.page - 1, lastPage) });
+    if (pagination.page < pagination.totalPages) links.next = pageUrl(req, { page: pagination.page + 1 });
+    links.last = pageUrl(req, { page: lastPage });
+  }
+
+  const linkHeader = Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', ');
+  if (linkHeader) res.set('Link', linkHeader);
+
+  const body = { ...extra, [key]: items, pagination };
+  if (pagination.mode === 'offset') {
+    body.totalPages = pagination.totalPages;
+    body.currentPage = pagination.page;
+    body.total = pagination.total;
+  }
+
+  res.json(body);
+};
+
+module.exports = {
+  toOrderBy,
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  parsePagination,
+  paginate,
+  offsetPage,
+  sendPage
+};
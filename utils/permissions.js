@@ -0,0 +1,52 @@
+const permissions = require('../config/permissions');
+const CategoryModerator = require('../models/CategoryModerator');
+
+const ROLE_PERMISSIONS = Object.fromEntries(
+  Object.entries(permissions.roles).map(([role, list]) => [role, new Set(list)])
+);
+const CATEGORY_MODERATOR_PERMISSIONS = new Set(permissions.categoryModerator);
+
+// Check whether a user's role grants a permission, without looking at any resource
+const hasPermission = (user, permission) => {
+  return Boolean(user && ROLE_PERMISSIONS[user.role] && ROLE_PERMISSIONS[user.role].has(permission));
+};
+
+// Check whether a user may perform an action, optionally on a resource ({ authorId, categoryId }).
+// `action` matches the permission itself, its `:any` form, or its `:own` form when the user
+// wrote the resource. Moderators of the resource's category also get the category moderator
+// permissions.
+const can = async (user, action, resource) => {
+  if (!user) return false;
+
+  const candidates = [action, `${action}:any`];
+  if (resource && resource.authorId === user.id) {
+    candidates.push(`${action}:own`);
+  }
+
+  if (candidates.some(permission => hasPermission(user, permission))) {
+    return true;
+  }
+
+  if (resource && resource.categoryId && candidates.some(permission => CATEGORY_MODERATOR_PERMISSIONS.has(permission))) {
+    return CategoryModerator.isModerator(user.id, resource.categoryId);
+  }
+
+  return false;
+};
+
+// Every permission and who has it, for the admin permission matrix
+const permissionMatrix = () => {
+  const roles = Object.keys(ROLE_PERMISSIONS);
+
+  return permissions.all.map(permission => ({
+    permission,
+    roles: Object.fromEntries(roles.map(role => [role, ROLE_PERMISSIONS[role].has(permission)])),
+    categoryModerator: CATEGORY_MODERATOR_PERMISSIONS.has(permission)
+  }));
+};
+
+module.exports = {
+  hasPermission,
+  can,
+  permissionMatrix
+};
@@ -0,0 +1,80 @@
+const { hasPermission } = require('./permissions');
+
+// Work out the publishing status of a new or edited post from `status` and `publishAt` in
+// the body; giving only `publishAt` schedules the post. Drafts and scheduling need
+// `post:schedule`, and published posts can't be taken back. Sends an error and returns null
+// if the request isn't allowed, otherwise returns { status, publishAt }.
+const publishingFields = (req, res, existing = null) => {
+  const { publishAt } = req.body;
+  const status = req.body.status || (publishAt ? 'SCHEDULED' : (existing?.status || 'PUBLISHED'));
+  const scheduledAt = publishAt || (status === 'SCHEDULED' ? existing?.publishAt : null);
+
+  if (existing?.status === 'PUBLISHED' && status !== 'PUBLISHED') {
+    res.status(400).json({ error: 'Published posts cannot be turned back into drafts' });
+    return null;
+  }
+
+  if (status !== 'PUBLISHED' && !hasPermission(req.user, 'post:schedule')) {
+    res.status(403).json({ error: 'Not authorized to save drafts or schedule posts' });
+    return null;
+  }
+
+  if (status === 'SCHEDULED' && !scheduledAt) {
+    res.status(400).json({ error: 'Scheduled posts need a publishAt time' });
+    return null;
+  }
+
+  if (status !== 'SCHEDULED' && publishAt) {
+    res.status(400).json({ error: 'publishAt can only be set on scheduled posts' });
+    return null;
+  }
+
+  return {
+    status,
+    // Drafts have no publishing time, and published posts keep theirs
+    publishAt: status === 'SCHEDULED' ? scheduledAt : (status === 'DRAFT' ? null : undefined)
+  };
+};
+
+// Work out who a new or edited announcement is for from `audience` and `audienceGrade` in the
+// body (a new announcement is for the whole school unless told otherwise). Only users with
+// `announcement:create` may post announcements, and only announcements have an audience.
+// Sends an error and returns null if the request isn't allowed, otherwise returns the
+// fields to save.
+const announcementFields = (req, res, existing = null) => {
+  const type = existing ? existing.type : (req.body.type || 'DISCUSSION');
+  const { audience, audienceGrade } = req.body;
+
+  if (type !== 'ANNOUNCEMENT') {
+    if (audience || audienceGrade) {
+      res.status(400).json({ error: 'Only announcements have an audience' });
+      return null;
+    }
+    return { type };
+  }
+
+  if (!hasPermission(req.user, 'announcement:create')) {
+    res.status(403).json({ error: 'Not authorized to post announcements' });
+    return null;
+  }
+
+  const target = audience || existing?.audience || 'SCHOOL';
+  const grade = target === 'GRADE' ? audienceGrade || existing?.audienceGrade : null;
+
+  if (target === 'GRADE' && !grade) {
+    res.status(400).json({ error: 'Grade announcements need an audienceGrade' });
+    return null;
+  }
+
+  if (target !== 'GRADE' && audienceGrade) {
+    res.status(400).json({ error: 'audienceGrade can only be set on grade announcements' });
+    return null;
+  }
+
+  return { type, audience: target, audienceGrade: grade };
+};
+
+module.exports = {
+  publishingFields,
+  announcementFields
+};
@@ -0,0 +1,63 @@
+// Counters for rate limiting. A store counts hits per key in fixed windows:
+//
+//   increment(key, windowMs) -> { count, resetAt }  count in the current window, and when it ends
+//   reset(key)                                       forget a key's count
+//
+// Both are async so a shared store can be dropped in when the API runs on several processes;
+// with Redis, increment is INCR followed by PEXPIRE on the first hit and PTTL for resetAt.
+
+// Expired counters are swept after this many increments, so idle keys don't pile up
+const SWEEP_EVERY = 1000;
+
+// Keeps counters in this process's memory
+const createMemoryStore = () => {
+  const counters = new Map();
+  let increments = 0;
+
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (++increments % SWEEP_EVERY === 0) sweep(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+let store = null;
+
+// The store rate limits are counted in
+const getStore = () => {
+  if (!store) {
+    store = createMemoryStore();
+  }
+  return store;
+};
+
+// Replace the active store, e.g. with a Redis-backed one or in tests
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  createMemoryStore
+};
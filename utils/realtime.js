@@ -0,0 +1,47 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus; every open event stream listens on the channels it subscribed to
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let nextEventId = 1;
+
+// Publish one event to several channels. Listeners on more than one of them receive the
+// same event object each time, so they can skip repeats by id.
+const publish = (channels, type, data) => {
+  const event = { id: nextEventId++, type, data };
+  channels.forEach(channel => bus.emit(channel, event));
+};
+
+// Publish an event about a post to its own channel and its category's channel. Nothing is
+// published about drafts and scheduled posts, which only their author can see, or about posts
+// held for review, including their replies. Grade announcements are only published on their
+// own channel: everyone who can see the category listens on its channel, but only that grade
+// may subscribe to the post.
+const publishPostEvent = (post, type, data) => {
+  if (post.status && post.status !== 'PUBLISHED') return;
+  if (post.moderationStatus && post.moderationStatus !== 'APPROVED') return;
+
+  const channels = [`post:${post.id}`];
+  if (post.audience !== 'GRADE') {
+    channels.push(`category:${post.categoryId}`);
+  }
+  publish(channels, type, { postId: post.id, ...data });
+};
+
+// Publish an event to a user's personal channel
+const publishUserEvent = (userId, type, data) => {
+  publish([`user:${userId}`], type, data);
+};
+
+// Listen on channels; returns a function that stops listening
+const subscribe = (channels, listener) => {
+  channels.forEach(channel => bus.on(channel, listener));
+  return () => channels.forEach(channel => bus.off(channel, listener));
+};
+
+module.exports = {
+  publishPostEvent,
+  publishUserEvent,
+  subscribe
+};
@@ -0,0 +1,59 @@
+const Post = require('../models/Post');
+const { publishPostEvent } = require('./realtime');
+
+// Publish the scheduled posts that are due and tell live listeners about the approved ones.
+// Returns the posts that were published.
+const publishDuePosts = async () => {
+  const posts = await Post.publishDue();
+
+  posts
+    .filter(post => post.moderationStatus === 'APPROVED')
+    .forEach(post => publishPostEvent(post, 'post.created', { post: Post.toEventJSON(post) }));
+
+  return posts;
+};
+
+// Unpin the posts whose pin has expired and tell live listeners. Returns the unpinned posts.
+const unpinExpiredPosts = async () => {
+  const posts = await Post.unpinExpired();
+
+  posts.forEach(post => publishPostEvent(post, 'post.pinned', { isPinned: false, pinnedUntil: null }));
+
+  return posts;
+};
+
+// Check for due scheduled posts and expired pins every minute (or
+// POST_SCHEDULER_INTERVAL_SECONDS) inside the server process. Several processes may run it:
+// each post is only published once. Returns a function that stops the scheduler.
+const startPostScheduler = () => {
+  const interval = (parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const posts = await publishDuePosts();
+      if (posts.length) {
+        console.log(`Published ${posts.length} scheduled post(s)`);
+      }
+      await unpinExpiredPosts();
+    } catch (error) {
+      console.error('Post scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  publishDuePosts,
+  unpinExpiredPosts,
+  startPostScheduler
+};
@@ -0,0 +1,72 @@
+// Split text into words the way the search index does, dropping tsquery operators
+const toLexemes = (text) => {
+  return text
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+};
+
+// Join the words of a phrase so they must appear next to each other
+const toPhrase = (lexemes) => {
+  return lexemes.length > 1 ? `(${lexemes.join(' <-> ')})` : lexemes[0];
+};
+
+// Convert user search syntax into a Postgres tsquery string.
+//   algebra homework   both words (AND)
+//   "quadratic formula" exact phrase
+//   algeb*              prefix match
+//   -calculus           exclude a word or "phrase"
+//   maths OR physics    either word (binds tighter than AND)
+// Returns null when the input has no searchable words.
+const parseSearchQuery = (input) => {
+  const groups = [];
+  let pendingOr = false;
+
+  for (const match of String(input).matchAll(/(-?)"([^"]*)"?|(\S+)/g)) {
+    const [, negatedPhrase, phrase, word] = match;
+
+    if (word === 'OR') {
+      pendingOr = groups.length > 0;
+      continue;
+    }
+
+    let negate = Boolean(negatedPhrase);
+    let term;
+
+    if (phrase !== undefined) {
+      const lexemes = toLexemes(phrase);
+      if (!lexemes.length) continue;
+      term = toPhrase(lexemes);
+    } else {
+      let text = word;
+      if (text.startsWith('-')) {
+        negate = true;
+        text = text.slice(1);
+      }
+
+      const lexemes = toLexemes(text);
+      if (!lexemes.length) continue;
+      if (text.endsWith('*')) lexemes[lexemes.length - 1] += ':*';
+      term = toPhrase(lexemes);
+    }
+
+    if (negate) term = `!${term}`;
+
+    if (pendingOr) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    pendingOr = false;
+  }
+
+  if (!groups.length) return null;
+
+  return groups
+    .map(group => (group.length > 1 ? `(${group.join(' | ')})` : group[0]))
+    .join(' & ');
+};
+
+module.exports = {
+  parseSearchQuery
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps files on the local disk under `dir`
+const createLocalStorage = (dir) => {
+  // Keys are generated by the server, but never let one point outside the storage directory
+  const filePath = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(`${dir}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, data) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    // Returns a readable stream of the file, or null if it doesn't exist
+    async getStream(key) {
+      const file = filePath(key);
+      try {
+        await fs.promises.access(file);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+// Load the AWS SDK, an optional dependency that is only needed by the S3 driver
+const loadS3Client = () => {
+  try {
+    return require('@aws-sdk/client-s3');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package, which is not installed. Run `npm install @aws-sdk/client-s3`.');
+  }
+};
+
+// Keeps files in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+const createS3Storage = () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = loadS3Client();
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  const bucket = process.env.S3_BUCKET;
+
+  return {
+    async put(key, data, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: data, ContentType: contentType }));
+    },
+
+    async getStream(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+let storage;
+
+// Pick the storage driver from STORAGE_DRIVER (defaults to the local disk)
+const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 's3'
+      ? createS3Storage()
+      : createLocalStorage(path.resolve(process.env.STORAGE_DIR || 'uploads'));
+  }
+  return storage;
+};
+
+// Replace the active storage driver (useful in tests)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalStorage
+};
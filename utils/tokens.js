@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Generate an opaque random token (refresh tokens, reset links, etc.)
+const generateToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it so a database leak doesn't expose it
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  signAccessToken,
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const { parseCsv } = require('./csv');
+const { sendInviteEmail } = require('./emails');
+
+// Most users a single import may create
+const MAX_IMPORT_ROWS = 1000;
+
+// Header spellings accepted for each column, compared in lowercase without spaces or punctuation.
+// A combined "grade/subject" column is read as the grade of students and the subject of teachers.
+const COLUMNS = {
+  username: ['username', 'user'],
+  email: ['email', 'emailaddress'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  role: ['role'],
+  grade: ['grade'],
+  subject: ['subject'],
+  gradeOrSubject: ['gradesubject', 'gradeorsubject']
+};
+
+const REQUIRED_COLUMNS = ['username', 'email', 'firstName', 'lastName'];
+
+// Temporary passwords avoid characters that are easy to mix up when copied by hand
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PASSWORD_LENGTH = 12;
+
+const generateTemporaryPassword = () => {
+  return Array.from({ length: PASSWORD_LENGTH }, () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]).join('');
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Turn one CSV record into user data, using the column index of each known field
+const toUserData = (values, columnIndex) => {
+  const field = (name) => {
+    const value = columnIndex[name] === undefined ? '' : (values[columnIndex[name]] || '').trim();
+    return value || undefined;
+  };
+
+  const role = (field('role') || 'STUDENT').toUpperCase();
+  const gradeOrSubject = field('gradeOrSubject');
+
+  return {
+    username: field('username'),
+    email: field('email')?.toLowerCase(),
+    firstName: field('firstName'),
+    lastName: field('lastName'),
+    role,
+    grade: field('grade') || (role === 'STUDENT' ? gradeOrSubject : undefined),
+    subject: field('subject') || (role === 'TEACHER' ? gradeOrSubject : undefined)
+  };
+};
+
+// Parse an import CSV into rows of { row, data, errors }. `row` is the record's position
+// in the file, counting the header as row 1. Returns { error } if the file can't be used.
+const parseUserCsv = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  if (records.length < 2) {
+    return { error: 'The CSV needs a header row and at least one user' };
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `An import can contain at most ${MAX_IMPORT_ROWS} users` };
+  }
+
+  const columnIndex = {};
+  records[0].forEach((header, index) => {
+    const name = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(normalizeHeader(header)));
+    if (name && columnIndex[name] === undefined) columnIndex[name] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(name => columnIndex[name] === undefined);
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(', ')}` };
+  }
+
+  const rows = records.slice(1).map((values, index) => ({
+    row: index + 2,
+    data: toUserData(values, columnIndex),
+    errors: []
+  }));
+
+  return { rows };
+};
+
+// Check every row against the User.create rules, other rows in the file and existing users,
+// filling in each row's `errors`
+const validateUserRows = async (rows) => {
+  const seenUsernames = new Map();
+  const seenEmails = new Map();
+
+  rows.forEach(({ row, data, errors }) => {
+    User.validate(data).forEach(problem => errors.push(problem));
+
+    if (data.username) {
+      if (seenUsernames.has(data.username)) {
+        errors.push({ field: 'username', message: `Username is repeated from row ${seenUsernames.get(data.username)}` });
+      } else {
+        seenUsernames.set(data.username, row);
+      }
+    }
+    if (data.email) {
+      if (seenEmails.has(data.email)) {
+        errors.push({ field: 'email', message: `Email is repeated from row ${seenEmails.get(data.email)}` });
+      } else {
+        seenEmails.set(data.email, row);
+      }
+    }
+  });
+
+  const existingUsers = await User.find({
+    OR: [
+      { username: { in: [...seenUsernames.keys()] } },
+      { email: { in: [...seenEmails.keys()] } }
+    ]
+  });
+  const takenUsernames = new Set(existingUsers.map(user => user.username));
+  const takenEmails = new Set(existingUsers.map(user => user.email));
+
+  rows.forEach(({ data, errors }) => {
+    if (takenUsernames.has(data.username)) {
+      errors.push({ field: 'username', message: 'Username already taken' });
+    }
+    if (takenEmails.has(data.email)) {
+      errors.push({ field: 'email', message: 'A user with this email already exists' });
+    }
+  });
+
+  return rows;
+};
+
+// Create the users of valid rows and give them a way in: a temporary password returned in
+// the report (`credentials: 'password'`) or an emailed invite link to choose their own.
+// `atomic` imports run in a single transaction; otherwise each row succeeds or fails alone.
+// Returns a report row per input row and the users created.
+const importUserRows = async (rows, { credentials = 'invite', atomic = true } = {}) => {
+  const report = new Map(rows.map(({ row, data }) => [row, { row, username: data.username, email: data.email }]));
+  // Invitees get no password until they choose their own through the invite link
+  const passwords = new Map(rows.map(({ row }) => [
+    row,
+    credentials === 'password' ? generateTemporaryPassword() : undefined
+  ]));
+
+  const created = [];
+  if (atomic) {
+    try {
+      const users = await User.createMany(rows.map(({ row, data }) => ({ ...data, password: passwords.get(row) })));
+      users.forEach((user, index) => created.push({ row: rows[index].row, user }));
+    } catch (error) {
+      const message = error.code === 'P2002' ? 'A username or email was taken during the import' : 'Could not create users';
+      rows.forEach(({ row }) => Object.assign(report.get(row), { status: 'failed', errors: [{ message }] }));
+      return { rows: [...report.values()], created };
+    }
+  } else {
+    for (const { row, data } of rows) {
+      try {
+        const user = await User.create({ ...data, password: passwords.get(row) });
+        created.push({ row, user });
+      } catch (error) {
+        const message = error.code === 'P2002' ? 'Username or email already taken' : 'Could not create user';
+        Object.assign(report.get(row), { status: 'failed', errors: [{ message }] });
+      }
+    }
+  }
+
+  for (const { row, user } of created) {
+    const entry = Object.assign(report.get(row), { status: 'created', userId: user.id });
+
+    if (credentials === 'password') {
+      entry.temporaryPassword = passwords.get(row);
+      continue;
+    }
+
+    // Email failures are reported per row; the user can still get in with a password reset
+    try {
+      const token = await AuthToken.create(user.id, 'ACCOUNT_INVITE');
+      await sendInviteEmail(user, token);
+      entry.inviteSent = true;
+    } catch (error) {
+      console.error(`Invite email error for user ${user.id}:`, error);
+      entry.inviteSent = false;
+    }
+  }
+
+  return { rows: [...report.values()], created: created.map(({ user }) => user) };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseUserCsv,
+  validateUserRows,
+  importUserRows
+};